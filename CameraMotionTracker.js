@@ -0,0 +1,138 @@
+// CameraMotionTracker.js
+// Track camera motion between sampled video frames with pyramidal Lucas-Kanade
+// optical flow on background keypoints (requires OpenCV.js loaded to window.cv)
+
+import { matFromImageEl, climberMaskFromPoses } from './orb/orb_utils.js';
+import { multiply3x3 } from './PoseTransform.js';
+
+const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1]; // 3x3 identity (row-major)
+
+export class CameraMotionTracker {/*
+    _____________________________________________________________________________________
+                                    CONSTRUCTOR
+    _____________________________________________________________________________________*/
+
+    constructor(cv, opts = {}) {
+        this.cv = cv; // OpenCV.js instance
+
+        // Parameters
+        //------------------------------------------------------------------------------
+        this.maxCorners   = opts.maxCorners   ?? 400; // max background corners to track
+        this.qualityLevel = opts.qualityLevel ?? 0.01; // min corner quality (relative)
+        this.minDistance  = opts.minDistance  ?? 10; // min distance between corners (px)
+        this.maskPadding  = opts.maskPadding  ?? 40; // padding around climber mask (px)
+        this.minTracked   = opts.minTracked   ?? 12; // min tracked points for a homography
+        this.ransacThresh = opts.ransacThresh ?? 3.0; // RANSAC reprojection threshold (px)
+
+        // State
+        //------------------------------------------------------------------------------
+        this.prevGray  = null; // previous frame (grayscale Mat)
+        this.prevMask  = null; // previous frame climber mask (CV_8U Mat)
+        this.toFirst   = IDENTITY.slice(); // chained frame -> frame 0 homography
+    }/*
+    _____________________________________________________________________________________
+                                    FUNCTIONS
+    _____________________________________________________________________________________*/
+
+    //------------------------------------------------------------------------------------
+    // Track a new frame. source is an image/canvas of the full frame, poses are all
+    // pose landmark sets (pixel coords) detected in that frame, used to keep the
+    // climbers out of the tracked points. Returns { homography (frame -> frame 0),
+    // tracked, lost }.
+    track(source, poses = []) {
+        const cv   = this.cv;
+        const rgba = matFromImageEl(source);
+        const gray = new cv.Mat();
+        cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+        rgba.delete();
+
+        const mask = climberMaskFromPoses(poses, gray.cols, gray.rows, this.maskPadding);
+
+        // First frame defines the reference
+        if (!this.prevGray) {
+            this._setPrevious(gray, mask);
+            return { homography: this.toFirst.slice(), tracked: 0, lost: false };
+        }
+
+        let tracked = 0;
+        let lost    = true;
+
+        // Detect background corners in previous frame
+        const prevPts = new cv.Mat();
+        const nextPts = new cv.Mat();
+        const status  = new cv.Mat();
+        const err     = new cv.Mat();
+        cv.goodFeaturesToTrack(
+            this.prevGray, prevPts,
+            this.maxCorners, this.qualityLevel, this.minDistance,
+            this.prevMask
+        );
+
+        if (prevPts.rows >= this.minTracked) {
+
+            // Track corners into the current frame
+            cv.calcOpticalFlowPyrLK(
+                this.prevGray, gray, prevPts, nextPts, status, err,
+                new cv.Size(21, 21), // search window
+                3 // pyramid levels
+            );
+
+            // Keep successfully tracked pairs
+            const src = [], dst = [];
+            for (let i = 0; i < status.rows; i++) {
+                if (status.data[i] !== 1) continue;
+                src.push(nextPts.data32F[i * 2], nextPts.data32F[i * 2 + 1]);
+                dst.push(prevPts.data32F[i * 2], prevPts.data32F[i * 2 + 1]);
+            }
+            tracked = src.length / 2;
+
+            // Current -> previous frame homography, chained onto previous -> frame 0
+            if (tracked >= this.minTracked) {
+                const srcMat = cv.matFromArray(tracked, 1, cv.CV_32FC2, src);
+                const dstMat = cv.matFromArray(tracked, 1, cv.CV_32FC2, dst);
+                const H = cv.findHomography(srcMat, dstMat, cv.RANSAC, this.ransacThresh);
+                if (!H.empty()) {
+                    this.toFirst = multiply3x3(this.toFirst, Array.from(H.data64F));
+                    lost = false;
+                }
+                srcMat.delete();
+                dstMat.delete();
+                H.delete();
+            }
+        }
+
+        prevPts.delete();
+        nextPts.delete();
+        status.delete();
+        err.delete();
+
+        // If tracking was lost, assume no motion since the previous frame
+        this._setPrevious(gray, mask);
+        return { homography: this.toFirst.slice(), tracked, lost };
+    }
+
+    //------------------------------------------------------------------------------------
+    // Forget all frames (next frame becomes frame 0)
+    reset() {
+        this.prevGray?.delete();
+        this.prevMask?.delete();
+        this.prevGray = null;
+        this.prevMask = null;
+        this.toFirst  = IDENTITY.slice();
+    }
+
+    //------------------------------------------------------------------------------------
+    // Free OpenCV memory
+    delete() {
+        this.reset();
+    }
+
+    //------------------------------------------------------------------------------------
+    // Replace previous frame Mats
+    _setPrevious(gray, mask) {
+        this.prevGray?.delete();
+        this.prevMask?.delete();
+        this.prevGray = gray;
+        this.prevMask = mask;
+    }
+}
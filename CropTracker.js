@@ -0,0 +1,152 @@
+// CropTracker.js
+// Follow the climber with the pose detection crop: keep the crop size fixed and only
+// move it when the climber nears its edge (hysteresis), resize it only when the pose
+// no longer fits or has become much smaller, and widen it step by step to the full
+// frame while no pose is found. Crop changes are rare, so the pose landmarker's
+// temporal tracking (VIDEO mode) sees a stable input between them.
+
+export class CropTracker {/*
+    _____________________________________________________________________________________
+                                    CONSTRUCTOR
+    _____________________________________________________________________________________*/
+
+    constructor(initialCrop, frameWidth, frameHeight, opts = {}) {
+        // Parameters
+        //------------------------------------------------------------------------------
+        this.padding       = opts.padding       ?? 0.35; // padding per side (fraction of bbox size)
+        this.margin        = opts.margin        ?? 0.1; // edge zone (fraction of crop size) that moves the crop
+        this.headroom      = opts.headroom      ?? 1.25; // extra size when the crop is resized
+        this.shrinkBelow   = opts.shrinkBelow   ?? 0.4; // shrink when the pose is smaller than this (fraction of crop)
+        this.minVisibility = opts.minVisibility ?? 0.5; // landmarks below are ignored for the bbox
+        this.minPoints     = opts.minPoints     ?? 4; // min visible landmarks to fit the crop
+        this.minSize       = opts.minSize       ?? 96; // min crop width/height (px)
+        this.widenFactor   = opts.widenFactor   ?? 1.5; // crop growth per frame without pose
+
+        // State
+        //------------------------------------------------------------------------------
+        this.frameWidth  = frameWidth; // video frame size (px)
+        this.frameHeight = frameHeight;
+        this.crop = this._clamp({ // current crop (float, frame pixel coords)
+            left: initialCrop.left ?? initialCrop.x,
+            top: initialCrop.top ?? initialCrop.y,
+            width: initialCrop.width,
+            height: initialCrop.height
+        });
+        this.lostFrames = 0; // consecutive frames without pose
+        this.changed    = false; // crop moved or resized around a detected pose by the last update
+    }/*
+    _____________________________________________________________________________________
+                                    FUNCTIONS
+    _____________________________________________________________________________________*/
+
+    //------------------------------------------------------------------------------------
+    // Current crop rounded to whole pixels { left, top, width, height }
+    get rect() {
+        const left = Math.round(this.crop.left);
+        const top  = Math.round(this.crop.top);
+        return {
+            left,
+            top,
+            width: Math.min(Math.round(this.crop.width), this.frameWidth - left),
+            height: Math.min(Math.round(this.crop.height), this.frameHeight - top)
+        };
+    }
+
+    //------------------------------------------------------------------------------------
+    // Update the crop from this frame's landmarks (frame pixel coords, empty = no pose).
+    // Returns the crop for the next frame; changed tells whether it was moved or
+    // resized around a detected pose (the landmarker's tracking should then be reset).
+    // Widening steps while the pose is lost do not count: there is nothing to track.
+    update(landmarks) {
+        const box    = this._boundingBox(landmarks);
+        const before = this.rect;
+        this.crop = this._next(box);
+        const after = this.rect;
+        this.changed = Boolean(box) && (after.left !== before.left || after.top !== before.top ||
+            after.width !== before.width || after.height !== before.height);
+        return after;
+    }
+
+    //------------------------------------------------------------------------------------
+    // Crop for the next frame from the landmark bounding box (null = no pose)
+    _next(box) {
+        const crop = this.crop;
+        const cx = crop.left + crop.width  / 2;
+        const cy = crop.top  + crop.height / 2;
+
+        // No pose: widen around the current centre until the crop covers the frame
+        if (!box) {
+            this.lostFrames++;
+            const width  = crop.width  * this.widenFactor;
+            const height = crop.height * this.widenFactor;
+            return this._clamp({ left: cx - width / 2, top: cy - height / 2, width, height });
+        }
+        this.lostFrames = 0;
+
+        // Padded pose box
+        const padX = box.width  * this.padding;
+        const padY = box.height * this.padding;
+        const target = {
+            left: box.left - padX,
+            top:  box.top  - padY,
+            width:  box.width  + 2 * padX,
+            height: box.height + 2 * padY
+        };
+        const tx = target.left + target.width  / 2;
+        const ty = target.top  + target.height / 2;
+
+        // Inner zone the pose box has to stay in (crop minus the edge margin)
+        const innerW = crop.width  * (1 - 2 * this.margin);
+        const innerH = crop.height * (1 - 2 * this.margin);
+
+        // Resize only when the pose no longer fits or has become much smaller
+        const tooBig   = target.width > innerW || target.height > innerH;
+        const tooSmall = target.width  < this.shrinkBelow * crop.width &&
+                         target.height < this.shrinkBelow * crop.height;
+        if (tooBig || tooSmall) {
+            const scale  = this.headroom / (1 - 2 * this.margin);
+            const width  = Math.max(this.minSize, target.width  * scale);
+            const height = Math.max(this.minSize, target.height * scale);
+            return this._clamp({ left: tx - width / 2, top: ty - height / 2, width, height });
+        }
+
+        // Keep size and position while the pose box stays inside the inner zone,
+        // otherwise re-centre the crop on it
+        const inside =
+            target.left >= cx - innerW / 2 && target.left + target.width  <= cx + innerW / 2 &&
+            target.top  >= cy - innerH / 2 && target.top  + target.height <= cy + innerH / 2;
+        if (inside) return crop;
+        return this._clamp({
+            left: tx - crop.width  / 2,
+            top:  ty - crop.height / 2,
+            width: crop.width,
+            height: crop.height
+        });
+    }
+
+    //------------------------------------------------------------------------------------
+    // Bounding box of the visible landmarks, null if too few are visible
+    _boundingBox(landmarks) {
+        const pts = (landmarks || []).filter(lm =>
+            Number.isFinite(lm.x) && Number.isFinite(lm.y) &&
+            (lm.visibility === undefined || lm.visibility >= this.minVisibility)
+        );
+        if (pts.length < this.minPoints) return null;
+
+        const xs = pts.map(lm => lm.x);
+        const ys = pts.map(lm => lm.y);
+        const left = Math.min(...xs);
+        const top  = Math.min(...ys);
+        return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+    }
+
+    //------------------------------------------------------------------------------------
+    // Keep the crop inside the frame (size limited to the frame size)
+    _clamp({ left, top, width, height }) {
+        width  = Math.min(Math.max(width,  1), this.frameWidth);
+        height = Math.min(Math.max(height, 1), this.frameHeight);
+        left   = Math.min(Math.max(left, 0), this.frameWidth  - width);
+        top    = Math.min(Math.max(top,  0), this.frameHeight - height);
+        return { left, top, width, height };
+    }
+}
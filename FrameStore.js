@@ -0,0 +1,136 @@
+// FrameStore.js
+// Store extracted video frames as compressed Blobs and decode them on demand into
+// ImageBitmaps kept in a small LRU cache (instead of a full-size data URL per frame)
+
+export class FrameStore {/*
+    _____________________________________________________________________________________
+                                    CONSTRUCTOR
+    _____________________________________________________________________________________*/
+
+    constructor(opts = {}) {
+        // Parameters
+        //------------------------------------------------------------------------------
+        this.capacity = opts.capacity ?? 24; // max decoded ImageBitmaps kept in memory
+        this.type     = opts.type     ?? 'image/jpeg'; // Blob encoding
+        this.quality  = opts.quality  ?? 0.85; // encoding quality (jpeg/webp)
+
+        // State
+        //------------------------------------------------------------------------------
+        this.blobs = new Map(); // frame index -> Blob (compressed frame)
+        this.cache = new Map(); // frame index -> ImageBitmap (insertion order = LRU order)
+        this.pins  = new Map(); // ImageBitmap -> number of callers using it (not closed)
+    }/*
+    _____________________________________________________________________________________
+                                    FUNCTIONS
+    _____________________________________________________________________________________*/
+
+    //------------------------------------------------------------------------------------
+    // Number of stored frames
+    get size() {
+        return this.blobs.size;
+    }
+
+    //------------------------------------------------------------------------------------
+    // Check if a frame is stored
+    has(idx) {
+        return this.blobs.has(idx);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Compress the current contents of a canvas and store it as frame idx
+    async put(idx, canvas) {
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(
+                b => b ? resolve(b) : reject(new Error('Frame encoding failed')),
+                this.type,
+                this.quality
+            );
+        });
+        this._evict(idx); // drop stale decoded bitmap
+        this.blobs.set(idx, blob);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Call fn(bitmap) with frame idx as an ImageBitmap (decoded on demand, cached) and
+    // return its result. The bitmap is null if the frame is not stored. It stays open
+    // until fn (sync or async) returns, even if it is evicted meanwhile; it is owned by 
+    // the store, so do not close it or keep it after fn.
+    async use(idx, fn) {
+        const bitmap = await this._load(idx);
+        if (!bitmap) return fn(null);
+        try {
+            return await fn(bitmap);
+        } finally {
+            this._unpin(bitmap);
+        }
+    }
+
+    //------------------------------------------------------------------------------------
+    // Decode (or take from the cache) frame idx and pin it. Returns null if not stored.
+    async _load(idx) {
+        // Cache hit: mark as most recently used
+        if (this.cache.has(idx)) {
+            const bitmap = this.cache.get(idx);
+            this.cache.delete(idx);
+            this.cache.set(idx, bitmap);
+            this._pin(bitmap);
+            return bitmap;
+        }
+
+        const blob = this.blobs.get(idx);
+        if (!blob) return null;
+
+        const decoded = await createImageBitmap(blob);
+
+        // Another caller may have decoded the same frame meanwhile
+        let bitmap = decoded;
+        if (this.cache.has(idx) && this.blobs.get(idx) === blob) {
+            decoded.close();
+            bitmap = this.cache.get(idx);
+            this.cache.delete(idx);
+        } else {
+            this._evict(idx);
+        }
+        this.cache.set(idx, bitmap);
+        this._pin(bitmap);
+
+        // Evict least recently used bitmaps over capacity
+        while (this.cache.size > this.capacity) {
+            this._evict(this.cache.keys().next().value);
+        }
+        return bitmap;
+    }
+
+    //------------------------------------------------------------------------------------
+    // Remove all frames
+    clear() {
+        for (const idx of [...this.cache.keys()]) this._evict(idx);
+        this.blobs.clear();
+    }
+
+    //------------------------------------------------------------------------------------
+    // Remove a decoded bitmap from the cache and close it (pinned bitmaps are closed
+    // when their last user releases them)
+    _evict(idx) {
+        const bitmap = this.cache.get(idx);
+        if (!bitmap) return;
+        this.cache.delete(idx);
+        if (!this.pins.has(bitmap)) bitmap.close();
+    }
+
+    //------------------------------------------------------------------------------------
+    // Count a user of a bitmap / release it (closing it if it was evicted while in use)
+    _pin(bitmap) {
+        this.pins.set(bitmap, (this.pins.get(bitmap) ?? 0) + 1);
+    }
+
+    _unpin(bitmap) {
+        const users = this.pins.get(bitmap) - 1;
+        if (users > 0) {
+            this.pins.set(bitmap, users);
+            return;
+        }
+        this.pins.delete(bitmap);
+        if (![...this.cache.values()].includes(bitmap)) bitmap.close();
+    }
+}
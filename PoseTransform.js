@@ -61,14 +61,29 @@ export class PoseTransform {
   /* APPLY TRANSFORM TO LANDMARKS
   ---------------------------------------------------------------------------------------
   Apply transformation matrix to detected pose landmarks from image A to 
-  map them to the coordinate space of image B.*/ 
+  map them to the coordinate space of image B. If frameHomographies is given 
+  (frame -> frame 0 camera motion per frame, row-major arrays of 9), each frame 
+  is first mapped to frame 0 (image A) and then to image B. Output stays aligned 
+  with the input frames (frames without landmarks give an empty array); z and 
+  visibility are carried over unchanged.*/ 
 
-  transformLandmarks(landmarks, M, method = 'homography') {
+  transformLandmarks(landmarks, M, method = 'homography', frameHomographies = null) {
     let transformedPoses = []; // array to hold transformed landmarks
     
     for (let i = 0; i < landmarks.length; i++) {
       const frameLandmarks = landmarks[i];
-      if (!frameLandmarks || frameLandmarks.length === 0) continue;
+      if (!frameLandmarks || frameLandmarks.length === 0) {
+        transformedPoses.push([]); // keep frame indices aligned
+        continue;
+      }
+
+      // Compose camera motion with the A -> B matrix for this frame
+      let frameM      = M;
+      let frameMethod = method;
+      if (frameHomographies?.[i]) {
+        frameM      = this.composeWithFrameMotion(M, frameHomographies[i], method);
+        frameMethod = 'homography';
+      }
     
       const pts = [];
       for (const lm of frameLandmarks) {
@@ -82,18 +97,21 @@ export class PoseTransform {
       );
       const outMat = new this.cv.Mat();
 
-      if (method === 'homography') {
-        this.cv.perspectiveTransform(ptsMat, outMat, M);
+      if (frameMethod === 'homography') {
+        this.cv.perspectiveTransform(ptsMat, outMat, frameM);
       } else {
-        this.cv.transform(ptsMat, outMat, M);
+        this.cv.transform(ptsMat, outMat, frameM);
       }
+      if (frameM !== M) frameM.delete();
 
       // Convert back to JS array
       const transformed = [];
       for (let i = 0; i < frameLandmarks.length; i++) {
         transformed.push({
           x: outMat.data32F[i * 2],
-          y: outMat.data32F[i * 2 + 1]
+          y: outMat.data32F[i * 2 + 1],
+          z: frameLandmarks[i].z,
+          visibility: frameLandmarks[i].visibility
         });
       }
       transformedPoses.push(transformed);
@@ -103,6 +121,47 @@ export class PoseTransform {
     return transformedPoses;
   }
 
+  /* APPLY PER-FRAME TRANSFORMS TO LANDMARKS
+  ---------------------------------------------------------------------------------------
+  Transform each frame's landmarks with its own 3x3 homography (row-major array of
+  9 numbers). Output stays aligned with the input frames; frames without landmarks
+  or without a matrix give an empty array.*/ 
+
+  transformLandmarksPerFrame(landmarks, homographies) {
+    const transformedPoses = [];
+
+    for (let i = 0; i < landmarks.length; i++) {
+      const H = homographies[i];
+      if (!H || !landmarks[i]?.length) {
+        transformedPoses.push([]);
+        continue;
+      }
+      const M = this.matFromHomography(H);
+      transformedPoses.push(this.transformLandmarks([landmarks[i]], M, 'homography')[0]);
+      M.delete();
+    }
+    return transformedPoses;
+  }
+
+  /* COMPOSE A -> B MATRIX WITH FRAME MOTION
+  ---------------------------------------------------------------------------------------
+  Return the 3x3 Mat (A -> B) * (frame -> A). M is the homography (3x3) or affine 
+  (2x3) Mat from computeTransform, H a row-major array of 9. Caller must delete it.*/ 
+
+  composeWithFrameMotion(M, H, method = 'homography') {
+    const m  = Array.from(M.data64F?.length ? M.data64F : M.data32F);
+    const AB = method === 'homography' ? m : [...m.slice(0, 6), 0, 0, 1];
+    return this.matFromHomography(multiply3x3(AB, H));
+  }
+
+  /* HOMOGRAPHY ARRAY TO MAT
+  ---------------------------------------------------------------------------------------
+  Convert a row-major array of 9 numbers to a 3x3 CV_64F Mat. Caller must delete it.*/ 
+
+  matFromHomography(H) {
+    return this.cv.matFromArray(3, 3, this.cv.CV_64F, Array.from(H));
+  }
+
   matchesToArray(matches, keypointsA, keypointsB) {
 
     if (!Array.isArray(matches) || !Array.isArray(keypointsA) || !Array.isArray(keypointsB)) {
@@ -131,3 +190,50 @@ export class PoseTransform {
   }
 }
 
+/* MULTIPLY 3x3 MATRICES
+-----------------------------------------------------------------------------------
+Row-major 3x3 matrix product a * b (arrays of 9 numbers)
+-----------------------------------------------------------------------------------*/
+export function multiply3x3(a, b) {
+  const out = new Array(9);
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] =
+        a[r * 3]     * b[c] +
+        a[r * 3 + 1] * b[3 + c] +
+        a[r * 3 + 2] * b[6 + c];
+    }
+  }
+  return out;
+}
+
+/* INVERT 3x3 MATRIX
+-----------------------------------------------------------------------------------
+Inverse of a row-major 3x3 matrix (array of 9 numbers), null if singular
+-----------------------------------------------------------------------------------*/
+export function invert3x3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A =   e * i - f * h;
+  const B = -(d * i - f * g);
+  const C =   d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (!det || Math.abs(det) < 1e-12) return null;
+  return [
+    A / det, -(b * i - c * h) / det,  (b * f - c * e) / det,
+    B / det,  (a * i - c * g) / det, -(a * f - c * d) / det,
+    C / det, -(a * h - b * g) / det,  (a * e - b * d) / det
+  ];
+}
+
+/* TRANSFORM POINT WITH 3x3 MATRIX
+-----------------------------------------------------------------------------------
+Apply a row-major 3x3 homography to a point { x, y }, null at infinity
+-----------------------------------------------------------------------------------*/
+export function transformPoint3x3(m, p) {
+  const w = m[6] * p.x + m[7] * p.y + m[8];
+  if (!w || Math.abs(w) < 1e-12) return null;
+  return {
+    x: (m[0] * p.x + m[1] * p.y + m[2]) / w,
+    y: (m[3] * p.x + m[4] * p.y + m[5]) / w
+  };
+}
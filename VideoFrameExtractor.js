@@ -1,59 +1,237 @@
 // video_frame_extractor.js
 // Extract frames from a video element into a canvas
+
+// Sample intervals above this (seconds) seek to each sample instead of playing the
+// video through (playback takes as long as the range, seeking one step per sample)
+const SEEK_INTERVAL = 0.25;
+
 export class VideoFrameExtractor {
 
     constructor(videoEl, canvasEl) {
         this.videoEl  = videoEl; // HTMLVideoElement
-        this.canvasEl = canvasEl; // HTMLCanvasElement
+        this.canvasEl = canvasEl; // HTMLCanvasElement (preview of the current frame)
+
+        // Offscreen canvas holding the exact extracted frame passed to callbacks
+        this.frameCanvas = document.createElement('canvas');
     }
 
-    // Extract frames every n secons and process each frame with a callback
-    async extractFrames(n, processFrameCallback) {
+    // Extract frames every n seconds (fractional allowed, n <= 0 = every frame) and
+    // process each frame with a callback(frameCanvas, t, width, height). Where
+    // requestVideoFrameCallback is supported, dense sampling (n <= SEEK_INTERVAL)
+    // plays the video and each sample is the first presented frame at or after its
+    // time; sparse sampling seeks to each sample time and reads the presented
+    // frame's media time. Either way t is the exact media time of the frame. Other
+    // browsers seek to each sample time (t = currentTime, not frame-exact).
+    // options.range { start, end } (seconds) limits extraction to a time range;
+    // options.signal (AbortSignal) stops extraction and rejects with its reason;
+    // options.onProgress({ frameIndex, time, start, end, eta }) is called after 
+    // each processed frame (eta = estimated seconds left).
+    async extractFrames(n, processFrameCallback, options = {}) {
         // Check if video is loaded
         if (!this.videoEl.src) throw new Error('No video loaded');
+        options.signal?.throwIfAborted();
 
-        // Get video duration
+        // Time range to extract (whole video by default)
         const duration = this.videoEl.duration;
+        const start = Math.min(Math.max(0, options.range?.start ?? 0), duration);
+        const end   = Math.max(start, Math.min(options.range?.end ?? duration, duration));
+
+        const useFrameCallback = 'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
+        // Count frames and report progress after each processed frame
+        const startMs = performance.now();
+        let frameIndex = 0;
+        const processAndReport = async (frameCanvas, t, width, height) => {
+            if (processFrameCallback) await processFrameCallback(frameCanvas, t, width, height);
+            options.onProgress?.(this._progress(frameIndex++, t, start, end, startMs));
+        };
+
+        if (useFrameCallback && !(n > SEEK_INTERVAL)) {
+            await this._extractWithFrameCallback(n, processAndReport, start, end, options.signal);
+        } else {
+            await this._extractBySeeking(
+                n > 0 ? n : 1 / 30, processAndReport, start, end, options.signal, useFrameCallback
+            );
+        }
+    }
+
+    // Progress after a frame at media time t, with ETA from elapsed wall time
+    _progress(frameIndex, t, start, end, startMs) {
+        const elapsed = (performance.now() - startMs) / 1000;
+        const done    = t - start; // media time processed so far
+        const eta = done > 0 ? elapsed / done * Math.max(0, end - t) : null;
+        return { frameIndex, time: t, start, end, eta };
+    }
+
+    // Seek to each sample time t = start, start + n, ... before end and process the frame
+    // (sparse sampling, or no requestVideoFrameCallback)
+    async _extractBySeeking(n, processFrameCallback, start, end, signal, useFrameCallback) {
+        this.videoEl.pause();
+        try {
+            await this._seekEachSample(n, processFrameCallback, start, end, signal, useFrameCallback);
+        } finally {
+            this.videoEl.onseeked = null;
+            this.videoEl.onerror  = null;
+        }
+    }
+
+    async _seekEachSample(n, processFrameCallback, start, end, signal, useFrameCallback) {
+        let lastTime = -1; // media time of the last processed frame
+        // Loop through the range in steps of n seconds
+        for (let i = 0; start + i * n < end; i++) {
+            signal?.throwIfAborted(); // stop between frames when cancelled
+            const t = await this._seekTo(start + i * n, useFrameCallback); // avoid accumulating float error
+            if (t <= lastTime) continue; // same frame as the previous sample
+            lastTime = t;
+            // Draw frame to canvas and process it
+            this._drawFrame();
+            if (processFrameCallback) {
+                await processFrameCallback(
+                    this.frameCanvas,
+                    t,
+                    this.frameCanvas.width,
+                    this.frameCanvas.height
+                );
+            }
+        }
+    }
+
+    // Seek to time t and resolve with the media time of the presented frame: from
+    // requestVideoFrameCallback (fires when the seeked frame is presented), else
+    // currentTime once seeked. The callback does not fire when the presented frame
+    // does not change, so after seeked it is only waited for briefly.
+    _seekTo(t, useFrameCallback) {
+        const video = this.videoEl;
+        return new Promise((resolve, reject) => {
+            const handle = useFrameCallback
+                ? video.requestVideoFrameCallback((now, metadata) => resolve(metadata.mediaTime))
+                : null;
+            video.onseeked = () => {
+                if (handle === null) {
+                    resolve(video.currentTime);
+                    return;
+                }
+                setTimeout(() => {
+                    video.cancelVideoFrameCallback(handle);
+                    resolve(video.currentTime);
+                }, 250);
+            };
+            video.onerror = () => reject(video.error ?? new Error('Video error'));
+            video.currentTime = t;
+        });
+    }
 
-        // Loop through video duration in steps of n seconds
-        for (let t = 0; t < duration; t += n) {
-            // Seek to time t and draw frame to canvas
+    // Play the video from start and process presented frames at or after each sample
+    // time until end. Playback is paused while a frame is processed so no frames 
+    // are skipped.
+    async _extractWithFrameCallback(n, processFrameCallback, start, end, signal) {
+        const video = this.videoEl;
+        const wasMuted = video.muted;
+        video.muted = true; // allow play() without user gesture
+        video.pause();
+
+        // Start from the beginning of the range
+        await new Promise(resolve => {
+            video.onseeked = resolve;
+            video.currentTime = start;
+        });
+
+        let onAbort = null; // abort listener (removed when done)
+        try {
             await new Promise((resolve, reject) => {
-                // Seek video to time t
-                this.videoEl.currentTime = t; 
-                // When seeked, draw frame to canvas
-                this.videoEl.onseeked = async () => {
-                    // Set canvas size to video size
-                    this.canvasEl.width  = this.videoEl.videoWidth; // set canvas width             
-                    this.canvasEl.height = this.videoEl.videoHeight; // set canvas height
-                    // Draw current video frame to canvas
-                    const ctx = this.canvasEl.getContext('2d');
-                    ctx.drawImage(
-                        this.videoEl, // source image 
-                        0, 0, // source x, y 
-                        this.canvasEl.width, // source width
-                        this.canvasEl.height, // source height
-                    );
-                    // Get frame data URL
-                    const frameDataUrl = this.canvasEl.toDataURL();
-                    try {
-                        // Call the callback with frame data to process
-                        if (processFrameCallback) {
-                            await processFrameCallback(
-                                frameDataUrl, 
-                                t, 
-                                this.canvasEl.width, 
-                                this.canvasEl.height
-                            );
+                let nextSample = start; // next time to sample (seconds)
+                let lastTime   = -1; // media time of the last processed frame
+                let done       = false;
+                let busy       = false; // a frame is being processed
+
+                // Stop playback and settle (rejects with err if given)
+                const stop = (err) => {
+                    if (done) return;
+                    done = true;
+                    video.pause();
+                    if (err) reject(err);
+                    else resolve();
+                };
+                const finish = () => stop();
+
+                // Cancelled: reject now, or once the frame being processed is done
+                // (so nothing writes results after the caller has moved on)
+                onAbort = () => {
+                    if (!busy) stop(signal.reason);
+                };
+                signal?.addEventListener('abort', onAbort);
+                if (signal?.aborted) { onAbort(); return; }
+
+                const onFrame = async (now, metadata) => {
+                    if (done) return;
+                    const t = metadata.mediaTime;
+
+                    if (t > lastTime && t + 1e-3 >= nextSample && t <= end) {
+                        // Draw the frame presented with this callback, then hold playback
+                        this._drawFrame();
+                        video.pause();
+                        busy = true;
+                        try {
+                            if (processFrameCallback) {
+                                await processFrameCallback(
+                                    this.frameCanvas,
+                                    t,
+                                    this.frameCanvas.width,
+                                    this.frameCanvas.height
+                                );
+                            }
+                        } catch (err) {
+                            stop(err);
+                            return;
+                        } finally {
+                            busy = false;
+                        }
+                        if (signal?.aborted) { // cancelled while processing
+                            stop(signal.reason);
+                            return;
                         }
-                        // Resolve promise to continue loop
-                        resolve();
-                    } catch (err) {
-                        reject(err);
+                        lastTime = t;
+                        // Next sample time after this frame
+                        if (n > 0) {
+                            while (nextSample <= t + 1e-3) nextSample += n;
+                        }
+                    }
+
+                    if (video.ended || t >= end) {
+                        finish();
+                        return;
                     }
+                    video.requestVideoFrameCallback(onFrame);
+                    if (video.paused) video.play().catch(stop);
                 };
-                this.videoEl.onerror = reject;
+
+                video.onended = finish;
+                video.onerror = () => stop(video.error ?? new Error('Video error'));
+                video.requestVideoFrameCallback(onFrame);
+                video.play().catch(stop);
             });
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            video.onended = null;
+            video.onseeked = null;
+            video.onerror = null;
+            video.muted   = wasMuted;
         }
     }
-}
\ No newline at end of file
+
+    // Draw the current video frame to the frame canvas and the preview canvas
+    _drawFrame() {
+        const w = this.videoEl.videoWidth;
+        const h = this.videoEl.videoHeight;
+
+        // Set canvas sizes to video size
+        this.frameCanvas.width  = w;
+        this.frameCanvas.height = h;
+        this.canvasEl.width     = w;
+        this.canvasEl.height    = h;
+
+        // Draw current video frame to canvas
+        this.frameCanvas.getContext('2d').drawImage(this.videoEl, 0, 0, w, h);
+        this.canvasEl.getContext('2d').drawImage(this.frameCanvas, 0, 0);
+    }
+}
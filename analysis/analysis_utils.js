@@ -0,0 +1,70 @@
+// analysis_utils.js
+// Shared limb definitions and geometry helpers for climb analysis
+
+/* LIMB LANDMARKS
+______________________________________________________________________________
+MediaPipe Pose landmark indices used to locate each hand and foot.
+Hands: wrist + index finger. Feet: heel + toe (foot index).
+______________________________________________________________________________*/
+
+export const LIMBS = {
+    leftHand:  [15, 19], // left wrist, left index
+    rightHand: [16, 20], // right wrist, right index
+    leftFoot:  [29, 31], // left heel, left foot index
+    rightFoot: [30, 32]  // right heel, right foot index
+};
+
+// Drawing colour per limb
+export const LIMB_COLORS = {
+    leftHand:  '#FFC400',
+    rightHand: '#6AECE1',
+    leftFoot:  '#FF6B6B',
+    rightFoot: '#8AFF80'
+};
+
+/* LIMB POINT
+------------------------------------------------------------------------------
+Mean position of a limb's landmarks in one frame, or null if none are present.
+------------------------------------------------------------------------------*/
+
+export function limbPoint(landmarks, limb) {
+    let x = 0, y = 0, n = 0;
+    for (const idx of LIMBS[limb]) {
+        const lm = landmarks?.[idx];
+        if (!lm || !Number.isFinite(lm.x) || !Number.isFinite(lm.y)) continue;
+        x += lm.x;
+        y += lm.y;
+        n++;
+    }
+    return n ? { x: x / n, y: y / n } : null;
+}
+
+/* DISTANCE
+------------------------------------------------------------------------------
+Euclidean distance between two {x, y} points
+------------------------------------------------------------------------------*/
+
+export function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/* MEDIAN TORSO LENGTH
+------------------------------------------------------------------------------
+Median distance between mid-shoulders (11/12) and mid-hips (23/24) across
+frames. Used to scale distance thresholds to the climber's size in the image.
+------------------------------------------------------------------------------*/
+
+export function medianTorsoLength(frames) {
+    const lengths = [];
+    for (const lms of frames) {
+        const [ls, rs, lh, rh] = [lms?.[11], lms?.[12], lms?.[23], lms?.[24]];
+        if (!ls || !rs || !lh || !rh) continue;
+        lengths.push(distance(
+            { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 },
+            { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 }
+        ));
+    }
+    if (!lengths.length) return 0;
+    lengths.sort((a, b) => a - b);
+    return lengths[Math.floor(lengths.length / 2)];
+}
@@ -0,0 +1,110 @@
+// beta_export.js
+// Build a machine-readable "beta" sequence for a climb (JSON and CSV)
+
+import { toCSV } from '../export_utils.js';
+import { metricValues } from './metrics.js';
+import { slipLabel } from './slips.js';
+
+/* BUILD BETA SEQUENCE
+______________________________________________________________________________
+Collect the A -> B homography, per-frame transformed landmarks (Image B
+pixels) with timestamps and the limb -> position move list into one object.
+
+frames:   [{ index, time, landmarks, weak, flowLost?, homography?, com? }] (Image B space)
+contacts: result of detectContacts (or null)
+metrics:  per-frame metrics from computeMetrics, indexed like the pose frames
+events:   slip/fall events from detectSlips
+______________________________________________________________________________*/
+
+export function buildBetaSequence({
+    homography, // A -> B matrix, row-major array of 9 (or null)
+    registration, // registration mode ('first', 'flow' or 'perFrame')
+    imageSize, // { width, height } of Image B
+    frames,
+    contacts,
+    metrics = null,
+    events = []
+}) {
+    return {
+        version: 1,
+        type: 'beta',
+        imageSize,
+        registration,
+        homography: homography ? Array.from(homography) : null,
+        frames: frames.map(f => ({
+            frame: f.index, // index into the sampled video frames
+            time: f.time, // seconds
+            weak: Boolean(f.weak), // weak per-frame registration or camera motion lost
+            flowLost: Boolean(f.flowLost), // camera motion lost (frame is weak)
+            homography: f.homography ? Array.from(f.homography) : undefined,
+            landmarks: f.landmarks.map(lm => ({ x: lm.x, y: lm.y })),
+            com: f.com ? { x: f.com.x, y: f.com.y } : undefined, // center of mass
+            metrics: metricValues(metrics?.[f.index]) ?? undefined
+        })),
+        moves: (contacts?.events ?? []).map((ev, i) => ({
+            order: i + 1,
+            limb: ev.limb,
+            hold: ev.holdId,
+            x: ev.x,
+            y: ev.y,
+            start: ev.start,
+            end: ev.end
+        })),
+        holds: (contacts?.holds ?? []).map(h => ({ id: h.id, x: h.x, y: h.y, contacts: h.count })),
+        events: events.map(ev => ({
+            type: ev.type, // 'slip' or 'fall'
+            limb: ev.limb, // slips only
+            label: slipLabel(ev),
+            frame: ev.index,
+            time: ev.time,
+            end: ev.end,
+            x: ev.x,
+            y: ev.y,
+            drop: ev.drop // torso lengths
+        }))
+    };
+}
+
+/* BETA FRAMES TO CSV
+------------------------------------------------------------------------------
+One row per landmark per frame: frame, time, landmark, x, y
+------------------------------------------------------------------------------*/
+
+export function betaFramesToCSV(beta) {
+    const rows = [];
+    for (const f of beta.frames) {
+        f.landmarks.forEach((lm, idx) => {
+            rows.push([f.frame, f.time, idx, round(lm.x), round(lm.y)]);
+        });
+    }
+    return toCSV(['frame', 'time', 'landmark', 'x', 'y'], rows);
+}
+
+/* BETA MOVES TO CSV
+------------------------------------------------------------------------------
+One row per move (contact): order, limb, hold, x, y, start, end
+------------------------------------------------------------------------------*/
+
+export function betaMovesToCSV(beta) {
+    const rows = beta.moves.map(m =>
+        [m.order, m.limb, m.hold, round(m.x), round(m.y), m.start, m.end]
+    );
+    return toCSV(['order', 'limb', 'hold', 'x', 'y', 'start', 'end'], rows);
+}
+
+/* BETA EVENTS TO CSV
+------------------------------------------------------------------------------
+One row per slip/fall event: type, limb, frame, time, end, x, y, drop
+------------------------------------------------------------------------------*/
+
+export function betaEventsToCSV(beta) {
+    const rows = beta.events.map(ev =>
+        [ev.type, ev.limb ?? '', ev.frame, ev.time, ev.end, round(ev.x), round(ev.y), round(ev.drop)]
+    );
+    return toCSV(['type', 'limb', 'frame', 'time', 'end', 'x', 'y', 'drop'], rows);
+}
+
+// Round pixel coordinates for CSV output
+function round(v) {
+    return Number.isFinite(v) ? Math.round(v * 100) / 100 : '';
+}
@@ -0,0 +1,213 @@
+// center_of_mass.js
+// Estimate the climber's center of mass from segment-weighted landmarks and draw
+// its trajectory (coloured by speed) on Image B
+
+import { distance, medianTorsoLength } from './analysis_utils.js';
+
+/* BODY SEGMENTS
+______________________________________________________________________________
+Segment mass fractions and centre positions (fraction of the way from the
+proximal to the distal end), after Dempster's body segment parameters.
+Ends are MediaPipe Pose landmark indices (several indices = their midpoint).
+Fractions sum to 1.
+______________________________________________________________________________*/
+
+const SEGMENTS = [
+    { name: 'head',          from: [7, 8],   to: [0],      mass: 0.081,  com: 0 },
+    { name: 'trunk',         from: [11, 12], to: [23, 24], mass: 0.497,  com: 0.5 },
+    { name: 'leftUpperArm',  from: [11],     to: [13],     mass: 0.028,  com: 0.436 },
+    { name: 'rightUpperArm', from: [12],     to: [14],     mass: 0.028,  com: 0.436 },
+    { name: 'leftForearm',   from: [13],     to: [15],     mass: 0.016,  com: 0.43 },
+    { name: 'rightForearm',  from: [14],     to: [16],     mass: 0.016,  com: 0.43 },
+    { name: 'leftHand',      from: [15],     to: [19],     mass: 0.006,  com: 0.506 },
+    { name: 'rightHand',     from: [16],     to: [20],     mass: 0.006,  com: 0.506 },
+    { name: 'leftThigh',     from: [23],     to: [25],     mass: 0.1,    com: 0.433 },
+    { name: 'rightThigh',    from: [24],     to: [26],     mass: 0.1,    com: 0.433 },
+    { name: 'leftShank',     from: [25],     to: [27],     mass: 0.0465, com: 0.433 },
+    { name: 'rightShank',    from: [26],     to: [28],     mass: 0.0465, com: 0.433 },
+    { name: 'leftFoot',      from: [29],     to: [31],     mass: 0.0145, com: 0.5 },
+    { name: 'rightFoot',     from: [30],     to: [32],     mass: 0.0145, com: 0.5 }
+];
+
+/* CENTER OF MASS
+______________________________________________________________________________
+Mass-weighted mean of the segment centres of one frame's landmarks. Segments
+with a missing end are left out and the rest re-weighted; no estimate (null)
+when the trunk is missing or less than minMass of the body is present.
+
+Returns { x, y, visibility } (visibility = mass-weighted mean of the segment
+ends' visibility), in the landmarks' coordinates.
+______________________________________________________________________________*/
+
+export function centerOfMass(landmarks, opts = {}) {
+    const { minMass = 0.6 } = opts;
+    if (!landmarks?.length) return null;
+
+    let x = 0, y = 0, vis = 0, mass = 0;
+    let trunk = false;
+    for (const seg of SEGMENTS) {
+        const a = segmentEnd(landmarks, seg.from);
+        const b = segmentEnd(landmarks, seg.to);
+        if (!a || !b) continue;
+        x    += seg.mass * (a.x + seg.com * (b.x - a.x));
+        y    += seg.mass * (a.y + seg.com * (b.y - a.y));
+        vis  += seg.mass * Math.min(a.visibility, b.visibility);
+        mass += seg.mass;
+        if (seg.name === 'trunk') trunk = true;
+    }
+    if (!trunk || mass < minMass) return null;
+    return { x: x / mass, y: y / mass, visibility: vis / mass };
+}
+
+// Midpoint of the given landmarks (null if any is missing)
+function segmentEnd(landmarks, indices) {
+    let x = 0, y = 0, visibility = 1;
+    for (const idx of indices) {
+        const lm = landmarks[idx];
+        if (!lm || !Number.isFinite(lm.x) || !Number.isFinite(lm.y)) return null;
+        x += lm.x;
+        y += lm.y;
+        visibility = Math.min(visibility, lm.visibility ?? 1);
+    }
+    return { x: x / indices.length, y: y / indices.length, visibility };
+}
+
+/* CENTER OF MASS TRAJECTORY
+______________________________________________________________________________
+COM path with speed from frames [{ index, time, com, landmarks }] (Image B
+space, com = {x, y} or null). Speed is the central difference over the
+neighbouring frames, in torso lengths per second (so it does not depend on
+the image scale). A missing COM breaks the path.
+
+Returns [{ index, time, x, y, speed, start }] (start = first point after a
+break, speed null where it has no neighbour).
+______________________________________________________________________________*/
+
+export function comTrajectory(frames) {
+    const torso = medianTorsoLength(frames.map(f => f.landmarks)) || 1;
+    const points = [];
+    let prev = null;
+    for (const f of frames) {
+        if (!f.com) {
+            prev = null;
+            continue;
+        }
+        points.push({ index: f.index, time: f.time, x: f.com.x, y: f.com.y, speed: null, start: !prev });
+        prev = f;
+    }
+
+    points.forEach((p, i) => {
+        const a = i > 0 && !p.start ? points[i - 1] : p;
+        const b = points[i + 1] && !points[i + 1].start ? points[i + 1] : p;
+        const dt = b.time - a.time;
+        if (a !== b && dt > 0) p.speed = distance(a, b) / torso / dt;
+    });
+    return points;
+}
+
+/* DRAW CENTER OF MASS PATH
+______________________________________________________________________________
+Draw the COM trajectory on a canvas: line segments coloured from blue (slow)
+to red (fast, at or above the 90th percentile speed), stalls (speed below
+stallSpeed for at least minStall seconds) as rings with their duration, and
+the speed written next to the path every labelInterval seconds. A colour
+scale is drawn in the top-left corner.
+______________________________________________________________________________*/
+
+export function drawCenterOfMassPath(ctx, trajectory, opts = {}) {
+    const {
+        stallSpeed = 0.1, // torso lengths / s
+        minStall = 1, // seconds
+        labelInterval = 1 // seconds
+    } = opts;
+    if (!trajectory.length) return;
+
+    const scale = Math.max(1, ctx.canvas.width / 1000); // keep markers readable
+    const speeds = trajectory.map(p => p.speed).filter(s => s !== null).sort((a, b) => a - b);
+    const maxSpeed = speeds[Math.floor(0.9 * (speeds.length - 1))] || 1;
+    const color = (speed) => speedColor(speed === null ? 0 : Math.min(1, speed / maxSpeed));
+
+    ctx.save();
+    /* Path Coloured by Speed
+    --------------------------------------------------------------------------*/
+    ctx.lineWidth = 4 * scale;
+    ctx.lineCap   = 'round';
+    for (let i = 1; i < trajectory.length; i++) {
+        const a = trajectory[i - 1], b = trajectory[i];
+        if (b.start) continue;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.strokeStyle = color(((a.speed ?? 0) + (b.speed ?? 0)) / 2);
+        ctx.stroke();
+    }
+
+    ctx.font         = `bold ${Math.round(12 * scale)}px sans-serif`;
+    ctx.textAlign    = 'left';
+    ctx.textBaseline = 'middle';
+
+    /* Stalls
+    --------------------------------------------------------------------------*/
+    let stall = null; // points of the current slow run
+    const closeStall = () => {
+        if (stall && stall[stall.length - 1].time - stall[0].time >= minStall) {
+            const c = {
+                x: stall.reduce((s, p) => s + p.x, 0) / stall.length,
+                y: stall.reduce((s, p) => s + p.y, 0) / stall.length
+            };
+            ctx.beginPath();
+            ctx.arc(c.x, c.y, 10 * scale, 0, 2 * Math.PI);
+            ctx.lineWidth   = 2 * scale;
+            ctx.strokeStyle = 'white';
+            ctx.stroke();
+            const dwell = stall[stall.length - 1].time - stall[0].time;
+            outlinedText(ctx, `${dwell.toFixed(1)}s`, c.x + 13 * scale, c.y, scale);
+        }
+        stall = null;
+    };
+    for (const p of trajectory) {
+        if (p.start) closeStall();
+        if (p.speed !== null && p.speed < stallSpeed) (stall ??= []).push(p);
+        else closeStall();
+    }
+    closeStall();
+
+    /* Speed Labels
+    --------------------------------------------------------------------------*/
+    let nextLabel = -Infinity;
+    for (const p of trajectory) {
+        if (p.speed === null || p.time < nextLabel) continue;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 3 * scale, 0, 2 * Math.PI);
+        ctx.fillStyle = 'white';
+        ctx.fill();
+        outlinedText(ctx, `${p.speed.toFixed(2)}/s`, p.x + 6 * scale, p.y - 8 * scale, scale);
+        nextLabel = p.time + labelInterval;
+    }
+
+    /* Colour Scale
+    --------------------------------------------------------------------------*/
+    const w = 120 * scale, h = 8 * scale, x0 = 10 * scale, y0 = 10 * scale;
+    for (let i = 0; i < w; i++) {
+        ctx.fillStyle = speedColor(i / w);
+        ctx.fillRect(x0 + i, y0, 1, h);
+    }
+    outlinedText(ctx, '0', x0, y0 + h + 9 * scale, scale);
+    ctx.textAlign = 'right';
+    outlinedText(ctx, `${maxSpeed.toFixed(2)} torso/s`, x0 + w, y0 + h + 9 * scale, scale);
+    ctx.restore();
+}
+
+// Blue (0) -> green -> red (1)
+function speedColor(t) {
+    return `hsl(${Math.round(240 * (1 - t))}, 100%, 50%)`;
+}
+
+// White text with a dark outline
+function outlinedText(ctx, text, x, y, scale) {
+    ctx.lineWidth   = 3 * scale;
+    ctx.strokeStyle = 'black';
+    ctx.fillStyle   = 'white';
+    ctx.strokeText(text, x, y);
+    ctx.fillText(text, x, y);
+}
@@ -0,0 +1,140 @@
+// contacts.js
+// Detect hand/foot contacts from transformed landmarks and derive the holds used
+
+import { LIMBS, LIMB_COLORS, limbPoint, distance, medianTorsoLength } from './analysis_utils.js';
+
+/* DETECT CONTACTS
+______________________________________________________________________________
+A limb is in contact while its position (Image B pixels) stays within radius
+of where the contact started, for at least minFrames consecutive frames and
+minDuration seconds. Contacts are then clustered into holds.
+
+frames: [{ time, landmarks }] in Image B space, in time order.
+Returns { events, holds, radius }:
+- events: [{ limb, x, y, start, end, holdId }] ordered by start time
+- holds:  [{ id, x, y, count }]
+______________________________________________________________________________*/
+
+export function detectContacts(frames, opts = {}) {
+    const {
+        radiusRatio = 0.15, // contact radius as a fraction of torso length
+        minFrames = 2, // min consecutive frames in contact
+        minDuration = 0.3, // min contact duration (seconds)
+    } = opts;
+
+    // Contact radius in Image B pixels (scaled to the climber's size)
+    const torso  = medianTorsoLength(frames.map(f => f.landmarks));
+    const radius = opts.radius ?? Math.max(4, radiusRatio * torso);
+
+    const events = [];
+
+    /* Find Contact Runs Per Limb
+    --------------------------------------------------------------------------*/
+    for (const limb of Object.keys(LIMBS)) {
+        let run = null; // current run { points, start, end }
+
+        const closeRun = () => {
+            if (run && run.points.length >= minFrames && run.end - run.start >= minDuration) {
+                const c = centroid(run.points);
+                events.push({ limb, x: c.x, y: c.y, start: run.start, end: run.end });
+            }
+            run = null;
+        };
+
+        for (const frame of frames) {
+            const p = limbPoint(frame.landmarks, limb);
+
+            // Missing limb breaks the run
+            if (!p) {
+                closeRun();
+                continue;
+            }
+            // Extend run while the limb stays near the run's centroid
+            if (run && distance(p, centroid(run.points)) <= radius) {
+                run.points.push(p);
+                run.end = frame.time;
+                continue;
+            }
+            closeRun();
+            run = { points: [p], start: frame.time, end: frame.time };
+        }
+        closeRun();
+    }
+
+    events.sort((a, b) => a.start - b.start);
+
+    /* Cluster Contacts Into Holds
+    --------------------------------------------------------------------------
+    Each contact joins the nearest hold within radius (hold centre is the mean
+    of its contacts), otherwise starts a new hold.
+    --------------------------------------------------------------------------*/
+    const holds = [];
+    for (const ev of events) {
+        let best = null;
+        let bestDist = radius;
+        for (const hold of holds) {
+            const d = distance(ev, hold);
+            if (d <= bestDist) {
+                best = hold;
+                bestDist = d;
+            }
+        }
+        if (!best) {
+            best = { id: holds.length + 1, x: ev.x, y: ev.y, count: 0 };
+            holds.push(best);
+        }
+        best.x = (best.x * best.count + ev.x) / (best.count + 1);
+        best.y = (best.y * best.count + ev.y) / (best.count + 1);
+        best.count++;
+        ev.holdId = best.id;
+    }
+
+    return { events, holds, radius };
+}
+
+/* DRAW CONTACT MARKERS
+______________________________________________________________________________
+Draw holds as circles with the numbers of the contacts made on them (in
+order), coloured by the limb of the first contact on the hold.
+______________________________________________________________________________*/
+
+export function drawContactMarkers(ctx, contacts) {
+    const { events, holds, radius } = contacts;
+    const scale = Math.max(1, ctx.canvas.width / 1000); // keep markers readable
+
+    for (const hold of holds) {
+        // Contact numbers on this hold (1-based order in the climb)
+        const numbers = events
+            .map((ev, i) => ev.holdId === hold.id ? i + 1 : null)
+            .filter(n => n !== null);
+        const firstLimb = events.find(ev => ev.holdId === hold.id)?.limb;
+
+        // Hold circle
+        ctx.beginPath();
+        ctx.arc(hold.x, hold.y, Math.max(radius, 8 * scale), 0, 2 * Math.PI);
+        ctx.lineWidth   = 3 * scale;
+        ctx.strokeStyle = LIMB_COLORS[firstLimb] || 'white';
+        ctx.stroke();
+
+        // Contact numbers
+        ctx.font         = `bold ${Math.round(14 * scale)}px sans-serif`;
+        ctx.textAlign    = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth    = 3 * scale;
+        ctx.strokeStyle  = 'black';
+        ctx.fillStyle    = 'white';
+        const label = numbers.join(',');
+        ctx.strokeText(label, hold.x, hold.y);
+        ctx.fillText(label, hold.x, hold.y);
+    }
+}
+
+// Mean of {x, y} points
+function centroid(points) {
+    let x = 0, y = 0;
+    for (const p of points) {
+        x += p.x;
+        y += p.y;
+    }
+    return { x: x / points.length, y: y / points.length };
+}
@@ -0,0 +1,167 @@
+// limb_trails.js
+// Summary renders of the whole climb on Image B: per-limb trails of the hands and
+// feet, and a heatmap of where each limb spent time
+
+import { LIMBS, LIMB_COLORS, limbPoint, medianTorsoLength } from './analysis_utils.js';
+
+/* DRAW LIMB TRAILS
+______________________________________________________________________________
+Draw the path of each hand and foot through all frames, one colour per limb
+(LIMB_COLORS). A frame without the limb breaks its trail. The first and last
+positions are marked with a dot and a ring.
+
+frames: [{ time, landmarks }] in Image B space, in time order.
+______________________________________________________________________________*/
+
+export function drawLimbTrails(ctx, frames, opts = {}) {
+    const { alpha = 0.85 } = opts;
+    const scale = Math.max(1, ctx.canvas.width / 1000); // keep lines readable
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.lineCap  = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const limb of Object.keys(LIMBS)) {
+        const points = frames.map(f => limbPoint(f.landmarks, limb));
+        const shown  = points.filter(Boolean);
+        if (!shown.length) continue;
+
+        // Trail (broken where the limb is missing)
+        ctx.strokeStyle = LIMB_COLORS[limb];
+        ctx.lineWidth   = 2.5 * scale;
+        ctx.beginPath();
+        let drawing = false;
+        for (const p of points) {
+            if (!p) {
+                drawing = false;
+                continue;
+            }
+            if (drawing) ctx.lineTo(p.x, p.y);
+            else ctx.moveTo(p.x, p.y);
+            drawing = true;
+        }
+        ctx.stroke();
+
+        // Start (dot) and end (ring)
+        const first = shown[0], last = shown[shown.length - 1];
+        ctx.fillStyle = LIMB_COLORS[limb];
+        ctx.beginPath();
+        ctx.arc(first.x, first.y, 5 * scale, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.beginPath();
+        ctx.arc(last.x, last.y, 7 * scale, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+    ctx.restore();
+}
+
+/* DRAW LIMB HEATMAP
+______________________________________________________________________________
+Time-weighted density of each limb's position, drawn in the limb's colour
+(opacity = time spent, relative to the limb's densest spot). Each frame counts
+for the time until the next frame. Density is accumulated on a grid of at most
+gridSize cells across, then blurred with a box filter of about radiusRatio
+torso lengths (applied twice, close to a Gaussian).
+
+frames: [{ time, landmarks }] in Image B space, in time order.
+______________________________________________________________________________*/
+
+export function drawLimbHeatmap(ctx, frames, opts = {}) {
+    const {
+        radiusRatio = 0.25, // blur radius as a fraction of torso length
+        gridSize = 256, // max grid cells along the longer image side
+        maxAlpha = 0.75 // opacity of the densest spot
+    } = opts;
+    const { width, height } = ctx.canvas;
+
+    // Grid size (cells) and blur radius (cells)
+    const cell = Math.max(1, Math.max(width, height) / gridSize);
+    const gw = Math.ceil(width / cell);
+    const gh = Math.ceil(height / cell);
+    const torso  = medianTorsoLength(frames.map(f => f.landmarks));
+    const radius = Math.max(1, Math.round(radiusRatio * torso / cell));
+
+    // Time each frame stands for (last frame: previous interval)
+    const weights = frames.map((f, i) => {
+        const dt = i + 1 < frames.length
+            ? frames[i + 1].time - f.time
+            : f.time - (frames[i - 1]?.time ?? f.time);
+        return dt > 0 ? dt : 0;
+    });
+
+    const layer = document.createElement('canvas');
+    layer.width  = gw;
+    layer.height = gh;
+    const layerCtx = layer.getContext('2d');
+
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    for (const limb of Object.keys(LIMBS)) {
+        // Accumulate time per cell
+        let density = new Float32Array(gw * gh);
+        let any = false;
+        frames.forEach((f, i) => {
+            const p = limbPoint(f.landmarks, limb);
+            if (!p) return;
+            const gx = Math.floor(p.x / cell), gy = Math.floor(p.y / cell);
+            if (gx < 0 || gy < 0 || gx >= gw || gy >= gh) return;
+            density[gy * gw + gx] += weights[i];
+            any = true;
+        });
+        if (!any) continue;
+        density = boxBlur(boxBlur(density, gw, gh, radius), gw, gh, radius);
+
+        // Limb colour with density as opacity
+        const max = density.reduce((m, v) => Math.max(m, v), 0);
+        if (!(max > 0)) continue;
+        const [r, g, b] = hexToRgb(LIMB_COLORS[limb]);
+        const image = layerCtx.createImageData(gw, gh);
+        for (let k = 0; k < density.length; k++) {
+            image.data[4 * k]     = r;
+            image.data[4 * k + 1] = g;
+            image.data[4 * k + 2] = b;
+            image.data[4 * k + 3] = Math.round(255 * maxAlpha * density[k] / max);
+        }
+        layerCtx.putImageData(image, 0, 0);
+        ctx.drawImage(layer, 0, 0, gw * cell, gh * cell);
+    }
+    ctx.restore();
+}
+
+/* HEATMAP HELPERS
+------------------------------------------------------------------------------
+boxBlur: separable mean filter (radius r cells) of a w x h grid
+hexToRgb: '#RRGGBB' -> [r, g, b]
+------------------------------------------------------------------------------*/
+
+function boxBlur(src, w, h, r) {
+    const tmp = new Float32Array(w * h);
+    const out = new Float32Array(w * h);
+    const n = 2 * r + 1;
+
+    // Horizontal pass
+    for (let y = 0; y < h; y++) {
+        let sum = 0;
+        for (let x = -r; x <= r; x++) sum += src[y * w + Math.min(w - 1, Math.max(0, x))];
+        for (let x = 0; x < w; x++) {
+            tmp[y * w + x] = sum / n;
+            sum += src[y * w + Math.min(w - 1, x + r + 1)] - src[y * w + Math.max(0, x - r)];
+        }
+    }
+    // Vertical pass
+    for (let x = 0; x < w; x++) {
+        let sum = 0;
+        for (let y = -r; y <= r; y++) sum += tmp[Math.min(h - 1, Math.max(0, y)) * w + x];
+        for (let y = 0; y < h; y++) {
+            out[y * w + x] = sum / n;
+            sum += tmp[Math.min(h - 1, y + r + 1) * w + x] - tmp[Math.max(0, y - r) * w + x];
+        }
+    }
+    return out;
+}
+
+function hexToRgb(hex) {
+    const v = parseInt(hex.slice(1), 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
@@ -0,0 +1,251 @@
+// metrics.js
+// Per-frame body-position metrics (joint angles, hip squareness, arm extension,
+// hip-hand distance) and their time-series charts
+
+import { toCSV } from '../export_utils.js';
+
+/* METRIC DEFINITIONS
+______________________________________________________________________________
+Joint angles are in degrees at the middle landmark (180 = straight).
+hipSquareness: 1 = hips square to the wall, 0 = side-on (from hip depth).
+armExtension: shoulder-wrist distance / arm length (1 = straight arm).
+handHipDistance: mid-hip to wrist distance in torso lengths.
+______________________________________________________________________________*/
+
+const ANGLES = {
+    leftElbow:  [11, 13, 15], // shoulder, elbow, wrist
+    rightElbow: [12, 14, 16],
+    leftKnee:   [23, 25, 27], // hip, knee, ankle
+    rightKnee:  [24, 26, 28],
+    leftHip:    [11, 23, 25], // shoulder, hip, knee
+    rightHip:   [12, 24, 26]
+};
+
+const ARMS = {
+    left:  [11, 13, 15], // shoulder, elbow, wrist
+    right: [12, 14, 16]
+};
+
+export const METRIC_KEYS = [
+    ...Object.keys(ANGLES),
+    'hipSquareness',
+    'leftArmExtension', 'rightArmExtension',
+    'leftHandHipDistance', 'rightHandHipDistance'
+];
+
+// Charts shown next to the frame navigation (left series first)
+export const METRIC_CHARTS = [
+    { title: 'Elbow angle', unit: '°', keys: ['leftElbow', 'rightElbow'], range: [0, 180] },
+    { title: 'Knee angle', unit: '°', keys: ['leftKnee', 'rightKnee'], range: [0, 180] },
+    { title: 'Hip angle', unit: '°', keys: ['leftHip', 'rightHip'], range: [0, 180] },
+    { title: 'Hip squareness', unit: '', keys: ['hipSquareness'], range: [0, 1] },
+    { title: 'Arm extension', unit: '', keys: ['leftArmExtension', 'rightArmExtension'], range: [0, 1] },
+    { title: 'Hand-hip distance', unit: 'torso', keys: ['leftHandHipDistance', 'rightHandHipDistance'], range: null }
+];
+
+// Series colours (left / right, same as the landmark colours)
+const SERIES_COLORS = ['#FFC400', '#6AECE1'];
+
+// Chart plot area padding (px)
+const CHART_PAD = { left: 32, right: 6, top: 16, bottom: 14 };
+
+/* COMPUTE METRICS
+______________________________________________________________________________
+Metrics for every frame of poseResults from frame.landmarks (pixel coords).
+MediaPipe z is normalized to the detection region width, so it is scaled to
+pixels by the frame's crop width (or frameWidth without a crop).
+
+Returns [{ time, ...metrics }] aligned with poseResults (values null where
+landmarks are missing).
+______________________________________________________________________________*/
+
+export function computeMetrics(poseResults, opts = {}) {
+    const { frameWidth = 1 } = opts;
+    return poseResults.map(frame => ({
+        time: frame.time,
+        ...frameMetrics(frame.landmarks, frame.cropRect?.width ?? frameWidth)
+    }));
+}
+
+/* FRAME METRICS
+------------------------------------------------------------------------------
+Metrics for one frame's landmarks
+------------------------------------------------------------------------------*/
+
+export function frameMetrics(landmarks, zScale = 1) {
+    const m = Object.fromEntries(METRIC_KEYS.map(key => [key, null]));
+    if (!landmarks?.length) return m;
+    const p = (i) => landmarks[i];
+
+    // Joint angles
+    for (const [key, [a, b, c]] of Object.entries(ANGLES)) {
+        m[key] = angle(p(a), p(b), p(c));
+    }
+
+    // Hip squareness from the hip line's depth (z) vs. width (x)
+    const lh = p(23), rh = p(24);
+    if (lh && rh && Number.isFinite(lh.z) && Number.isFinite(rh.z)) {
+        const dx = rh.x - lh.x;
+        const dz = (rh.z - lh.z) * zScale;
+        const len = Math.hypot(dx, dz);
+        m.hipSquareness = len > 0 ? Math.abs(dx) / len : null;
+    }
+
+    // Arm extension: shoulder-wrist distance over upper arm + forearm length
+    for (const [side, [s, e, w]] of Object.entries(ARMS)) {
+        if (!p(s) || !p(e) || !p(w)) continue;
+        const armLength = dist(p(s), p(e)) + dist(p(e), p(w));
+        m[`${side}ArmExtension`] = armLength > 0 ? dist(p(s), p(w)) / armLength : null;
+    }
+
+    // Hand-hip distance in torso lengths
+    const midHip = mid(p(23), p(24));
+    const torso  = dist(mid(p(11), p(12)), midHip);
+    if (torso > 0) {
+        m.leftHandHipDistance  = p(15) ? dist(p(15), midHip) / torso : null;
+        m.rightHandHipDistance = p(16) ? dist(p(16), midHip) / torso : null;
+    }
+    return m;
+}
+
+/* METRIC VALUES
+------------------------------------------------------------------------------
+Metric values of one frame without its timestamp (for per-frame exports)
+------------------------------------------------------------------------------*/
+
+export function metricValues(metrics) {
+    if (!metrics) return null;
+    const { time, ...values } = metrics;
+    return values;
+}
+
+/* METRICS TO CSV
+------------------------------------------------------------------------------
+One row per frame: frame, time, then one column per metric
+------------------------------------------------------------------------------*/
+
+export function metricsToCSV(metrics) {
+    const rows = metrics.map((m, i) => [
+        i,
+        m.time,
+        ...METRIC_KEYS.map(key => m[key] === null ? '' : Math.round(m[key] * 1000) / 1000)
+    ]);
+    return toCSV(['frame', 'time', ...METRIC_KEYS], rows);
+}
+
+/* DRAW METRIC CHART
+______________________________________________________________________________
+Line chart of one METRIC_CHARTS entry over time on a canvas, with a cursor at
+the current frame. Series break where values are missing.
+______________________________________________________________________________*/
+
+export function drawMetricChart(canvas, metrics, chart, currentIndex = null) {
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const pad = CHART_PAD;
+    ctx.clearRect(0, 0, width, height);
+
+    const times = metrics.map(m => m.time);
+    const t0 = times[0] ?? 0;
+    const t1 = times[times.length - 1] ?? 1;
+
+    // Value range (fixed or from data)
+    let [vMin, vMax] = chart.range ?? [Infinity, -Infinity];
+    if (!chart.range) {
+        for (const m of metrics) {
+            for (const key of chart.keys) {
+                if (m[key] === null) continue;
+                vMin = Math.min(vMin, m[key]);
+                vMax = Math.max(vMax, m[key]);
+            }
+        }
+        if (!Number.isFinite(vMin)) [vMin, vMax] = [0, 1];
+        if (vMax === vMin) vMax = vMin + 1;
+    }
+
+    const x = (t) => pad.left + (t1 > t0 ? (t - t0) / (t1 - t0) : 0) * (width - pad.left - pad.right);
+    const y = (v) => pad.top + (1 - (v - vMin) / (vMax - vMin)) * (height - pad.top - pad.bottom);
+
+    // Title and axis labels
+    ctx.fillStyle = 'white';
+    ctx.font = '11px sans-serif';
+    ctx.fillText(`${chart.title}${chart.unit ? ` (${chart.unit})` : ''}`, pad.left, 11);
+    ctx.fillStyle = 'gray';
+    ctx.fillText(formatValue(vMax), 2, pad.top + 8);
+    ctx.fillText(formatValue(vMin), 2, height - pad.bottom);
+    ctx.strokeStyle = 'gray';
+    ctx.strokeRect(pad.left, pad.top, width - pad.left - pad.right, height - pad.top - pad.bottom);
+
+    // Series
+    chart.keys.forEach((key, s) => {
+        ctx.strokeStyle = SERIES_COLORS[s % SERIES_COLORS.length];
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        metrics.forEach(m => {
+            if (m[key] === null) {
+                drawing = false;
+                return;
+            }
+            if (drawing) ctx.lineTo(x(m.time), y(m[key]));
+            else ctx.moveTo(x(m.time), y(m[key]));
+            drawing = true;
+        });
+        ctx.stroke();
+    });
+
+    // Current frame cursor
+    if (currentIndex !== null && metrics[currentIndex]) {
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x(metrics[currentIndex].time), pad.top);
+        ctx.lineTo(x(metrics[currentIndex].time), height - pad.bottom);
+        ctx.stroke();
+    }
+}
+
+/* CHART FRAME AT
+------------------------------------------------------------------------------
+Index of the frame closest in time to canvas x position px (for click to seek)
+------------------------------------------------------------------------------*/
+
+export function chartFrameAt(canvas, metrics, px) {
+    if (!metrics.length) return null;
+    const left  = CHART_PAD.left;
+    const right = canvas.width - CHART_PAD.right;
+    const t0 = metrics[0].time;
+    const t1 = metrics[metrics.length - 1].time;
+    const t  = t0 + Math.min(1, Math.max(0, (px - left) / (right - left))) * (t1 - t0);
+    let best = 0;
+    metrics.forEach((m, i) => {
+        if (Math.abs(m.time - t) < Math.abs(metrics[best].time - t)) best = i;
+    });
+    return best;
+}
+
+/* GEOMETRY HELPERS
+------------------------------------------------------------------------------*/
+
+// Angle at b (degrees) between b->a and b->c, null if a point is missing
+function angle(a, b, c) {
+    if (!a || !b || !c) return null;
+    const v1x = a.x - b.x, v1y = a.y - b.y;
+    const v2x = c.x - b.x, v2y = c.y - b.y;
+    const n = Math.hypot(v1x, v1y) * Math.hypot(v2x, v2y);
+    if (n === 0) return null;
+    const cos = Math.min(1, Math.max(-1, (v1x * v2x + v1y * v2y) / n));
+    return Math.acos(cos) * 180 / Math.PI;
+}
+
+function dist(a, b) {
+    return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+}
+
+function mid(a, b) {
+    return a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 } : null;
+}
+
+function formatValue(v) {
+    return Math.abs(v) >= 10 ? v.toFixed(0) : v.toFixed(1);
+}
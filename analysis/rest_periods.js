@@ -0,0 +1,125 @@
+// rest_periods.js
+// Split a climb into moves, short pauses and rests from whole-body speed, with
+// dwell times and time totals
+
+import { medianTorsoLength } from './analysis_utils.js';
+
+/* DETECT ACTIVITY
+______________________________________________________________________________
+Whole-body speed per frame is the median displacement of the landmarks seen
+in both this and the previous frame (at least minVisibility), in torso
+lengths per second, median-filtered over 3 frames. Frames below restSpeed are
+stationary. Stationary runs of at least minRest seconds are rests, shorter
+ones are pauses between moves. Frames without a pose (or more than maxGap
+seconds after the previous pose) have no speed.
+
+Speed is measured in the video frame, so camera motion counts as movement.
+
+frames: [{ time, landmarks }] in time order (pixel coords).
+Returns { segments, summary }:
+- segments: [{ type, start, end, startIndex, endIndex, move?, dwell? }]
+  covering the frames in order, type 'move', 'pause', 'rest' or 'none'. Each
+  segment ends where the next one starts. Moves are numbered (move, 1-based)
+  with the dwell time (s) of the pause or rest before them.
+- summary: { total, moving, resting, paused, moves, rests, meanDwell }
+______________________________________________________________________________*/
+
+export function detectActivity(frames, opts = {}) {
+    const {
+        restSpeed = 0.15, // torso lengths / s
+        minRest = 2, // seconds
+        minVisibility = 0.5,
+        maxGap = 1 // seconds
+    } = opts;
+
+    const torso = medianTorsoLength(frames.map(f => f.landmarks)) || 1;
+
+    /* Whole-Body Speed Per Frame
+    --------------------------------------------------------------------------*/
+    const raw = new Array(frames.length).fill(null);
+    let prev = -1; // last frame with landmarks
+    frames.forEach((f, i) => {
+        if (!f.landmarks?.length) return;
+        if (prev >= 0 && f.time - frames[prev].time <= maxGap) {
+            raw[i] = bodySpeed(frames[prev], f, minVisibility, torso);
+        }
+        prev = i;
+    });
+    // First frame of a run takes the speed of the next one
+    frames.forEach((f, i) => {
+        if (raw[i] === null && f.landmarks?.length) raw[i] = raw[i + 1] ?? null;
+    });
+    const speed = raw.map((s, i) => s === null ? null : median3(raw[i - 1], s, raw[i + 1]));
+
+    /* Runs of Equal State
+    --------------------------------------------------------------------------*/
+    const state = speed.map(s => s === null ? 'none' : s < restSpeed ? 'still' : 'move');
+    const segments = [];
+    state.forEach((type, i) => {
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.endIndex = i;
+            return;
+        }
+        segments.push({ type, startIndex: i, endIndex: i });
+    });
+    segments.forEach((seg, k) => {
+        seg.start = frames[seg.startIndex].time;
+        seg.end   = frames[segments[k + 1]?.startIndex ?? seg.endIndex].time;
+        if (seg.type === 'still') seg.type = seg.end - seg.start >= minRest ? 'rest' : 'pause';
+    });
+
+    /* Moves and Dwell Times
+    --------------------------------------------------------------------------*/
+    let moves = 0;
+    segments.forEach((seg, k) => {
+        if (seg.type !== 'move') return;
+        const before = segments[k - 1];
+        seg.move  = ++moves;
+        seg.dwell = before && before.type !== 'none' ? before.end - before.start : 0;
+    });
+
+    /* Summary
+    --------------------------------------------------------------------------*/
+    const time = (type) => segments
+        .filter(s => s.type === type)
+        .reduce((sum, s) => sum + s.end - s.start, 0);
+    const dwells = segments.filter(s => s.type === 'move').map(s => s.dwell);
+    const summary = {
+        total: frames.length ? frames[frames.length - 1].time - frames[0].time : 0,
+        moving: time('move'),
+        resting: time('rest'),
+        paused: time('pause'),
+        moves,
+        rests: segments.filter(s => s.type === 'rest').length,
+        meanDwell: dwells.length ? dwells.reduce((a, b) => a + b, 0) / dwells.length : 0
+    };
+
+    return { segments, summary };
+}
+
+/* SPEED HELPERS
+------------------------------------------------------------------------------
+bodySpeed: median landmark displacement between two frames / torso / dt
+median3: median of up to three values (null/undefined ignored)
+------------------------------------------------------------------------------*/
+
+function bodySpeed(a, b, minVisibility, torso) {
+    const dt = b.time - a.time;
+    if (!(dt > 0)) return null;
+    const d = [];
+    b.landmarks.forEach((p, j) => {
+        const q = a.landmarks[j];
+        if (!p || !q) return;
+        if ((p.visibility ?? 1) < minVisibility || (q.visibility ?? 1) < minVisibility) return;
+        d.push(Math.hypot(p.x - q.x, p.y - q.y));
+    });
+    if (!d.length) return null;
+    d.sort((x, y) => x - y);
+    return d[Math.floor(d.length / 2)] / torso / dt;
+}
+
+function median3(...values) {
+    const v = values.filter(x => x !== null && x !== undefined).sort((x, y) => x - y);
+    return v[Math.floor(v.length / 2)];
+}
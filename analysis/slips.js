@@ -0,0 +1,180 @@
+// slips.js
+// Detect slips (a hand or foot suddenly dropping off its position on the wall) and
+// falls (the center of mass accelerating downward) in Image B space
+
+import { LIMBS, limbPoint, distance, medianTorsoLength } from './analysis_utils.js';
+
+/* DETECT SLIPS
+______________________________________________________________________________
+Distances are in torso lengths, so thresholds do not depend on image scale.
+Image B is the wall, so "down" is +y.
+
+- slip: a limb that stayed within anchorRadius for the anchorTime before
+  starts moving down at slipSpeed or faster and drops at least minDrop
+- fall: the COM accelerates downward by fallAccel or more while moving down
+  at fallSpeed or faster, and drops at least minDrop before it stops falling
+
+Frames more than maxGap seconds apart are not compared, nor are weak frames
+or frames whose registration shifted the pose by more than maxShift since the
+previous frame (a jump of the matrix or camera tilt, not a slip).
+
+frames: [{ index, time, landmarks, com, weak?, shift? }] in Image B space, in
+time order (shift: Image B px the change of matrix alone moved the pose since
+the previous frame, null if unknown).
+Returns events ordered by time:
+[{ type: 'slip' | 'fall', limb (slips only), index, time, end, x, y, drop }]
+(index/time where the drop starts, x/y the limb or COM position there, drop
+in torso lengths).
+______________________________________________________________________________*/
+
+export function detectSlips(frames, opts = {}) {
+    const {
+        slipSpeed = 1.5, // torso lengths / s
+        anchorRadius = 0.15, // torso lengths
+        anchorTime = 0.3, // seconds
+        fallAccel = 8, // torso lengths / s^2 (gravity is roughly 20)
+        fallSpeed = 1, // torso lengths / s
+        minDrop = 0.25, // torso lengths
+        maxGap = 0.5, // seconds
+        maxShift = 0.1 // torso lengths
+    } = opts;
+
+    const torso  = medianTorsoLength(frames.map(f => f.landmarks)) || 1;
+    const events = [];
+
+    // Frames compared with their previous frame
+    const usable = frames.map((f, i) => i > 0 && !f.weak && !frames[i - 1].weak &&
+        !(f.shift > maxShift * torso));
+
+    /* Limb Slips
+    --------------------------------------------------------------------------*/
+    for (const limb of Object.keys(LIMBS)) {
+        const points = frames.map(f => limbPoint(f.landmarks, limb));
+        const speeds = downSpeeds(frames, points, torso, maxGap, usable);
+
+        for (let i = 1; i < frames.length; i++) {
+            if (speeds[i] === null || speeds[i] < slipSpeed) continue;
+            const start = i - 1;
+
+            // Limb was holding a position before the drop
+            const before = [];
+            for (let k = start - 1; k >= 0 && frames[start].time - frames[k].time <= anchorTime; k--) {
+                if (!points[k]) break;
+                before.push(points[k]);
+            }
+            const anchored = before.length > 0 &&
+                before.every(p => distance(p, points[start]) <= anchorRadius * torso);
+
+            // Extend over the frames still dropping fast
+            let end = i;
+            while (speeds[end + 1] !== null && speeds[end + 1] >= slipSpeed) end++;
+            const drop = (points[end].y - points[start].y) / torso;
+            if (anchored && drop >= minDrop) {
+                events.push(makeEvent('slip', limb, frames, start, end, points[start], drop));
+            }
+            i = end;
+        }
+    }
+
+    /* Falls (Center of Mass)
+    --------------------------------------------------------------------------*/
+    const com    = frames.map(f => f.com ?? null);
+    const speeds = downSpeeds(frames, com, torso, maxGap, usable);
+
+    for (let i = 1; i < frames.length - 1; i++) {
+        const v0 = speeds[i], v1 = speeds[i + 1]; // speed into / out of frame i
+        if (v0 === null || v1 === null || v1 < fallSpeed) continue;
+        const accel = (v1 - v0) / ((frames[i + 1].time - frames[i - 1].time) / 2);
+        if (accel < fallAccel) continue;
+
+        let end = i + 1;
+        while (speeds[end + 1] !== null && speeds[end + 1] >= fallSpeed) end++;
+        const drop = (com[end].y - com[i].y) / torso;
+        if (drop >= minDrop) events.push(makeEvent('fall', null, frames, i, end, com[i], drop));
+        i = end;
+    }
+
+    return events.sort((a, b) => a.time - b.time);
+}
+
+/* SLIP HELPERS
+------------------------------------------------------------------------------
+downSpeeds: downward speed (torso lengths / s) from the previous frame to
+            each frame, null where a point is missing, frames are too far
+            apart or the pair is not usable
+makeEvent:  event object for a drop from frame start to frame end
+------------------------------------------------------------------------------*/
+
+function downSpeeds(frames, points, torso, maxGap, usable) {
+    return frames.map((f, i) => {
+        const p = points[i], q = points[i - 1];
+        const dt = i > 0 ? f.time - frames[i - 1].time : 0;
+        if (!usable[i] || !p || !q || !(dt > 0) || dt > maxGap) return null;
+        return (p.y - q.y) / torso / dt;
+    });
+}
+
+function makeEvent(type, limb, frames, start, end, point, drop) {
+    return {
+        type,
+        ...(limb ? { limb } : {}),
+        index: frames[start].index,
+        time: frames[start].time,
+        end: frames[end].time,
+        x: point.x,
+        y: point.y,
+        drop
+    };
+}
+
+/* EVENT LABEL
+------------------------------------------------------------------------------
+Short text for an event, e.g. "Slip (left hand)" or "Fall"
+------------------------------------------------------------------------------*/
+
+export function slipLabel(ev) {
+    if (ev.type === 'fall') return 'Fall';
+    const limb = ev.limb.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return `Slip (${limb})`;
+}
+
+/* DRAW SLIP MARKERS
+______________________________________________________________________________
+Mark events on Image B with a red cross and label. With a time (seconds,
+same clock as the events) only events in progress are drawn, and stay shown
+for hold seconds after they end; without a time every event is drawn.
+______________________________________________________________________________*/
+
+export function drawSlipMarkers(ctx, events, time = null, opts = {}) {
+    const { hold = 0.5 } = opts;
+    const scale = Math.max(1, ctx.canvas.width / 1000); // keep markers readable
+    const size  = 10 * scale;
+
+    ctx.save();
+    for (const ev of events) {
+        if (time !== null && (time < ev.time || time > ev.end + hold)) continue;
+        const color = ev.type === 'fall' ? '#FF3B3B' : '#FF6B6B';
+
+        // Cross
+        ctx.strokeStyle = color;
+        ctx.lineWidth   = 3 * scale;
+        ctx.beginPath();
+        ctx.moveTo(ev.x - size, ev.y - size);
+        ctx.lineTo(ev.x + size, ev.y + size);
+        ctx.moveTo(ev.x + size, ev.y - size);
+        ctx.lineTo(ev.x - size, ev.y + size);
+        ctx.stroke();
+
+        // Label with time
+        ctx.font         = `bold ${Math.round(13 * scale)}px sans-serif`;
+        ctx.textAlign    = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth    = 3 * scale;
+        ctx.strokeStyle  = 'black';
+        ctx.fillStyle    = color;
+        const label = `${slipLabel(ev)} ${ev.time.toFixed(1)}s`;
+        ctx.strokeText(label, ev.x + size + 4 * scale, ev.y);
+        ctx.fillText(label, ev.x + size + 4 * scale, ev.y);
+    }
+    ctx.restore();
+}
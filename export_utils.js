@@ -0,0 +1,57 @@
+// export_utils.js
+// Helpers to download generated data (JSON, CSV, images) to the user's device
+
+/* DOWNLOAD BLOB
+----------------------------------------------------------------------------
+Save a Blob as a file by clicking a temporary download link.
+----------------------------------------------------------------------------*/
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    // Click a temporary link to start the download
+    const link    = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Release the blob URL once the download has started (revoking it right after
+    // click() can cancel the download in some browsers)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* DOWNLOAD JSON
+----------------------------------------------------------------------------
+Save a JSON-serializable object as a .json file.
+----------------------------------------------------------------------------*/
+
+export function downloadJSON(json, filename) {
+    const blob = new Blob([JSON.stringify(json)], { type: 'application/json' });
+    downloadBlob(blob, filename);
+}
+
+/* DOWNLOAD CSV
+----------------------------------------------------------------------------
+Save CSV text as a .csv file.
+----------------------------------------------------------------------------*/
+
+export function downloadCSV(text, filename) {
+    const blob = new Blob([text], { type: 'text/csv' });
+    downloadBlob(blob, filename);
+}
+
+/* TO CSV
+----------------------------------------------------------------------------
+Build CSV text from a header array and an array of row arrays. Values with
+commas, quotes or newlines are quoted.
+----------------------------------------------------------------------------*/
+
+export function toCSV(header, rows) {
+    const escape = (v) => {
+        const str = v === null || v === undefined ? '' : String(v);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+}
@@ -1,33 +1,129 @@
 // interpolate.js
-// Module to interpolate between frames of pose landmarks
-
-// Linear interpolation between two arrays of landmarks
-function interpolateLandmarks(a, b, alpha) {
-    return a.map((lmA, i) => ({
-        x: (1 - alpha) * lmA.x + alpha * b[i].x,
-        y: (1 - alpha) * lmA.y + alpha * b[i].y
-    }));
+// Web Worker to interpolate pose landmarks between sampled frames
+//
+// Message in:
+//   times        Float64Array(n)         frame timestamps (seconds)
+//   data         Float32Array(n * L * 4) x, y, z, visibility per landmark per frame
+//   valid        Uint8Array(n)           1 if the frame has landmarks
+//   numLandmarks L
+//   fps          output frame rate
+//   maxGap       do not interpolate across gaps longer than this (seconds)
+// Message out (buffers are transferred):
+//   times        Float64Array(m)
+//   data         Float32Array(m * L * 4)
+
+const STRIDE = 4; // x, y, z, visibility
+
+/* CATMULL-ROM TANGENTS
+______________________________________________________________________________
+Tangent of each keyframe from its neighbours' values and actual times
+(non-uniform Catmull-Rom). End keys use one-sided differences.
+______________________________________________________________________________*/
+
+function tangents(keyTimes, keyValues) {
+    const n = keyTimes.length;
+    const m = new Float64Array(n);
+    for (let k = 0; k < n; k++) {
+        const a = Math.max(0, k - 1);
+        const b = Math.min(n - 1, k + 1);
+        const dt = keyTimes[b] - keyTimes[a];
+        m[k] = dt > 0 ? (keyValues[b] - keyValues[a]) / dt : 0;
+    }
+    return m;
+}
+
+/* CUBIC HERMITE
+______________________________________________________________________________
+Value at time t between keys k and k+1 given values p and tangents m
+______________________________________________________________________________*/
+
+function hermite(t, t0, t1, p0, p1, m0, m1) {
+    const h  = t1 - t0;
+    const s  = (t - t0) / h;
+    const s2 = s * s;
+    const s3 = s2 * s;
+    return (2 * s3 - 3 * s2 + 1) * p0 +
+           (s3 - 2 * s2 + s) * h * m0 +
+           (-2 * s3 + 3 * s2) * p1 +
+           (s3 - s2) * h * m1;
 }
 
-// Interpolate frames
-function interpolateFrames(frames, interval) {
-    const out = [];
-    const steps = 24 * interval;
-    for (let i = 0; i < frames.length - 1; i++) {
-        const frameA = frames[i];
-        const frameB = frames[i + 1];
-        out.push(frameA);
-        for (let j = 1; j <= steps; j++) {
-            const alpha = j / (steps + 1);
-            out.push(interpolateLandmarks(frameA, frameB, alpha));
+/* INTERPOLATE FRAMES
+______________________________________________________________________________
+Resample valid frames onto a uniform time grid at fps. x, y, z use the
+spline; visibility is interpolated linearly and clamped to [0, 1]. Frames
+without landmarks are skipped, and samples inside gaps longer than maxGap
+are left out.
+______________________________________________________________________________*/
+
+function interpolateFrames({ times, data, valid, numLandmarks, fps = 30, maxGap = 1.0 }) {
+    const frameSize = numLandmarks * STRIDE;
+
+    // Keyframes = frames with landmarks
+    const keys = [];
+    for (let i = 0; i < times.length; i++) {
+        if (valid[i]) keys.push(i);
+    }
+    if (keys.length === 0) return { times: new Float64Array(0), data: new Float32Array(0) };
+
+    const keyTimes = Float64Array.from(keys, i => times[i]);
+
+    // Tangents per channel (landmark coordinate) across keyframes
+    const channelTangents = [];
+    for (let c = 0; c < frameSize; c++) {
+        if (c % STRIDE === 3) { // visibility is linear
+            channelTangents.push(null);
+            continue;
         }
+        const values = Float64Array.from(keys, i => data[i * frameSize + c]);
+        channelTangents.push(tangents(keyTimes, values));
     }
-    out.push(frames[frames.length - 1]);
-    return out;
+
+    // Uniform sample times, skipping long gaps
+    const step = 1 / fps;
+    const sampleTimes = [];
+    const sampleKeys  = []; // key index k such that keyTimes[k] <= t < keyTimes[k + 1]
+    let k = 0;
+    const tEnd = keyTimes[keyTimes.length - 1];
+    for (let t = keyTimes[0]; t <= tEnd + 1e-9; t += step) {
+        while (k < keyTimes.length - 2 && keyTimes[k + 1] <= t) k++;
+        const gap = keyTimes.length > 1 ? keyTimes[k + 1] - keyTimes[k] : 0;
+        if (gap > maxGap && t > keyTimes[k] && t < keyTimes[k + 1]) continue;
+        sampleTimes.push(t);
+        sampleKeys.push(k);
+    }
+
+    // Evaluate each sample
+    const out = new Float32Array(sampleTimes.length * frameSize);
+    for (let s = 0; s < sampleTimes.length; s++) {
+        const t  = sampleTimes[s];
+        const kk = sampleKeys[s];
+        const i0 = keys[kk];
+        const i1 = keys[Math.min(kk + 1, keys.length - 1)];
+        const t0 = keyTimes[kk];
+        const t1 = keyTimes[Math.min(kk + 1, keys.length - 1)];
+
+        for (let c = 0; c < frameSize; c++) {
+            const p0 = data[i0 * frameSize + c];
+            const p1 = data[i1 * frameSize + c];
+            let v;
+            if (t1 <= t0) {
+                v = p0; // single key or last key
+            } else if (c % STRIDE === 3) {
+                const a = Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+                v = Math.min(1, Math.max(0, p0 + a * (p1 - p0)));
+            } else {
+                const m = channelTangents[c];
+                v = hermite(Math.min(t, t1), t0, t1, p0, p1, m[kk], m[Math.min(kk + 1, keys.length - 1)]);
+            }
+            out[s * frameSize + c] = v;
+        }
+    }
+
+    return { times: Float64Array.from(sampleTimes), data: out };
 }
 
 self.onmessage = function(e) {
-    const { frames, interval } = e.data;
-    const result = interpolateFrames(frames, interval);
-    self.postMessage(result);
-};
\ No newline at end of file
+    const result = interpolateFrames(e.data);
+    self.postMessage(result, [result.times.buffer, result.data.buffer]);
+};
@@ -1,9 +1,10 @@
 // orb_module.js
-// ORB feature detection and matching
+// ORB (or AKAZE/BRISK) feature detection and matching
 
 import { setShared } from '../shared_state.js';
 
 import {matFromImageEl} from './orb_utils.js'
+import { getDetector, isDetectorAvailable } from './feature_detectors.js';
 
 export class ORBModule {
   constructor(cv) { 
@@ -14,47 +15,41 @@ export class ORBModule {
                               PUBLIC METHODS
   _______________________________________________________________________________*/
   
-  detectORB(srcRGBA, opts = {}, cropX, cropY) {
+  /* DETECT FEATURES
+  _______________________________________________________________________________
+  Detect keypoints and descriptors on an RGBA Mat with the backend named by 
+  opts.detector ('ORB', 'AKAZE' or 'BRISK', see feature_detectors.js). The other
+  opts are that backend's parameters. A backend missing from the OpenCV.js build
+  falls back to ORB; the result's detector names the backend actually used. 
+  Optional mask is a CV_8U Mat the same size as srcRGBA; keypoints are only 
+  detected where it is non-zero (e.g. to exclude the climber from background 
+  features).
+  _______________________________________________________________________________ */
+  detectFeatures(srcRGBA, opts = {}, cropX, cropY, mask = null) {
     
-    // Default parameters
-    const {
-      nfeatures = 1200, 
-      scaleFactor = 1.2, 
-      nlevels = 8, 
-      edgeThreshold = 31, 
-      firstLevel = 0, 
-      WTA_K = 2, 
-      scoreType = this.cv.ORB_HARRIS_SCORE, 
-      patchSize = 31, 
-      fastThreshold = 20
-    } = opts; 
-
-    // Create new Mats and ORB detector
+    const { detector: requested = 'ORB', ...params } = opts;
+    const detector = isDetectorAvailable(this.cv, requested) ? requested : 'ORB';
+    if (detector !== requested) {
+      console.warn(`${requested} is not available in this OpenCV.js build, using ORB.`);
+    }
+
+    // Create grayscale Mat and detector for the selected backend
     const gray = new this.cv.Mat();
     this.cv.cvtColor(srcRGBA, gray,this.cv.COLOR_RGBA2GRAY);
 
-    const orbDetector = new this.cv.ORB(
-      nfeatures, 
-      scaleFactor, 
-      nlevels,
-      edgeThreshold, 
-      firstLevel, 
-      WTA_K,
-      scoreType, 
-      patchSize, 
-      fastThreshold
-    );
+    const featureDetector = getDetector(detector).create(this.cv, detector === requested ? params : {});
 
-    // 3. Prepare keypoint vector and descriptor Mat
+    // 3. Prepare keypoint vector, descriptor Mat and mask
     const kpVec = new this.cv.KeyPointVector();
     const des = new this.cv.Mat();
+    const noMask = new this.cv.Mat(); // empty mask (detect everywhere)
 
     // 4. Perform detection and computation
     try {
       // 4.1 Detect and compute
-      orbDetector.detectAndCompute(
+      featureDetector.detectAndCompute(
         gray, // input image (grayscale)
-        new this.cv.Mat(), // mask (none)
+        mask ?? noMask, // mask (non-zero = detect)
         kpVec, // output keypoints
         des // output descriptors
       );
@@ -75,24 +70,39 @@ export class ORBModule {
       return { 
         keypoints, 
         descriptors, 
+        detector, // backend that produced the descriptors
         width: srcRGBA.cols,
         height: srcRGBA.rows 
       };
     
     } finally {
-      orbDetector.delete(); 
+      featureDetector.delete(); 
       kpVec.delete(); 
       des.delete(); 
       gray.delete();
+      noMask.delete();
     }
   }
+
+  /* DETECT ORB FEATURES
+  _______________________________________________________________________________
+  Shortcut for detectFeatures with the ORB backend.
+  _______________________________________________________________________________ */
+  detectORB(srcRGBA, opts = {}, cropX, cropY, mask = null) {
+    return this.detectFeatures(srcRGBA, { ...opts, detector: 'ORB' }, cropX, cropY, mask);
+  }
   
   /* CREATE JSON WITH DETECTION RESULTS
+  ________________________________________________________________________
+  Keypoints are stored in full image coordinates, so pass the full image
+  size when the detection was run on a cropped region. 
   ________________________________________________________________________ */
 
-  exportJSON(detectResult) {  
+  exportJSON(detectResult, imageSize = null) {  
 
-    const { keypoints, descriptors, width, height } = detectResult;
+    const { keypoints, descriptors } = detectResult;
+    const width  = imageSize?.width  ?? detectResult.width;
+    const height = imageSize?.height ?? detectResult.height;
     
     const normalizedKeypoints = keypoints.map(kp => ({
       ...kp, 
@@ -101,8 +111,8 @@ export class ORBModule {
     }));
 
     const json = {
-      version: 1,
-      type: "ORB",
+      version: 2,
+      type: detectResult.detector ?? "ORB", // detector that produced the descriptors
       imageSize: { width, height },
       keypoints: normalizedKeypoints,
       descriptors: descriptors ? {
@@ -114,10 +124,54 @@ export class ORBModule {
 
     return json;
   }    
+
+  /* LOAD DETECTION RESULTS FROM JSON
+  ________________________________________________________________________
+  Rebuild a detection result from JSON created by exportJSON. Keypoints are
+  stored normalized, so pixel coordinates are rebuilt for the current image 
+  size (defaults to the image size stored in the JSON).
+  ________________________________________________________________________ */
+
+  importJSON(json, width, height) {
+
+    // Validate version and type (version 1 files are always ORB)
+    if (!json || (json.version !== 1 && json.version !== 2)) {
+      throw new Error(`Unsupported features version: ${json?.version}`);
+    }
+    getDetector(json.type); // throws for unknown detector types
+    if (!Array.isArray(json.keypoints)) {
+      throw new Error('Features JSON has no keypoints');
+    }
+
+    // Image size to rebuild pixel coordinates for
+    const w = width  || json.imageSize?.width;
+    const h = height || json.imageSize?.height;
+    if (!w || !h) throw new Error('Features JSON has no image size');
+
+    // Normalized -> pixel coordinates
+    const keypoints = json.keypoints.map(kp => ({
+      ...kp,
+      x: kp.x * w,
+      y: kp.y * h
+    }));
+
+    // Base64 -> Uint8Array descriptors
+    let descriptors = null;
+    if (json.descriptors) {
+      const { rows, cols, data_b64 } = json.descriptors;
+      const data = this._b64ToU8(data_b64);
+      if (data.length !== rows * cols) {
+        throw new Error('Descriptor data does not match rows x cols');
+      }
+      descriptors = { rows, cols, data };
+    }
+
+    return { keypoints, descriptors, detector: json.type, width: w, height: h };
+  }
   
   /* MATCH KEYPOINTS FROM SOURCE <-> TARGET IMAGE
   _______________________________________________________________________________
-  Matches source <-> target ORB features using Brute-Force matcher
+  Matches source <-> target features using Brute-Force matcher
   Reference: https://docs.opencv.org/4.x/dc/dc3/tutorial_py_matcher.html
   _______________________________________________________________________________ */
   matchFeatures(source, target, opts = {}) {  
@@ -130,6 +184,11 @@ export class ORBModule {
     if (!target?.descriptors?.rows || !target?.descriptors?.cols) {
         throw new Error('No target descriptors');
     }
+    // Descriptors from different backends cannot be compared
+    const detector = source.detector ?? 'ORB';
+    if ((target.detector ?? 'ORB') !== detector) {
+      throw new Error(`Detector mismatch: ${detector} vs ${target.detector}`);
+    }
 
     // Create Mats from source descriptors
     // NOTE: source descriptors are stored as Base64 string in JSON
@@ -149,9 +208,9 @@ export class ORBModule {
       target.descriptors.data
     );
 
-    // Initialize Brute-Force matcher
+    // Initialize Brute-Force matcher with the norm the detector needs
     const bruteForceMatcher = new this.cv.BFMatcher( 
-      this.cv.NORM_HAMMING, 
+      this.cv[getDetector(detector).norm], 
       false         
     ); 
     
@@ -0,0 +1,210 @@
+// OverlayPlayer.js
+// Animate transformed pose landmarks over Image B on a canvas in real time, and
+// record the animation to a WebM video with MediaRecorder
+
+import { drawLandmarks } from '../pose/pose_utils.js';
+import { drawSlipMarkers } from '../analysis/slips.js';
+
+export class OverlayPlayer {/*
+    _____________________________________________________________________________________
+                                    CONSTRUCTOR
+    _____________________________________________________________________________________*/
+
+    constructor(canvasEl, imgEl) {
+        // Elements
+        //------------------------------------------------------------------------------
+        this.canvasEl = canvasEl; // HTMLCanvasElement to draw on
+        this.imgEl    = imgEl; // Image B (background)
+
+        // State
+        //------------------------------------------------------------------------------
+        this.frames    = []; // [{ time, landmarks, others?, weak?, flowLost? }] in Image B space, time order
+        this.startTime = 0; // video time of the first frame (seconds)
+        this.events    = []; // slip/fall events marked while they happen (video times)
+        this.time      = 0; // current playback time (seconds from first frame)
+        this.speed     = 1; // playback speed multiplier
+        this.color     = null; // single pose colour (null = left/right colours)
+        this.drawOptions = {}; // low-visibility options for drawLandmarks
+        this.playing   = false; // playback state
+        this.rafId     = null; // requestAnimationFrame id
+        this.lastTick  = null; // timestamp of the previous animation tick (ms)
+        this.recording = null; // { recorder, stream, cancelled } while recording
+        this.onTimeUpdate = null; // callback(time, duration) while playing/seeking
+        this.onEnded      = null; // callback() when playback reaches the end
+
+        this._tick = this._tick.bind(this);
+    }/*
+    _____________________________________________________________________________________
+                                    FUNCTIONS
+    _____________________________________________________________________________________*/
+
+    //------------------------------------------------------------------------------------
+    // Set frames to animate (times are shifted so the first frame is at 0)
+    setFrames(frames) {
+        this.pause();
+        const t0 = frames[0]?.time ?? 0;
+        this.startTime = t0;
+        this.frames = frames.map(f => ({ ...f, time: f.time - t0 }));
+        this.seek(0);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Total duration in seconds
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].time : 0;
+    }
+
+    //------------------------------------------------------------------------------------
+    // Start playback (restarts from 0 if at the end)
+    play() {
+        if (this.playing || !this.frames.length) return;
+        if (this.time >= this.duration) this.time = 0;
+        this.playing  = true;
+        this.lastTick = null;
+        this.rafId    = requestAnimationFrame(this._tick);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Pause playback (ends a recording: complete at the end, cancelled before it)
+    pause() {
+        this.playing = false;
+        if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        if (this.recording) this._stopRecording(this.time < this.duration);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Jump to time t (seconds) and draw that moment
+    seek(t) {
+        this.time = Math.max(0, Math.min(t, this.duration));
+        this.draw();
+        this.onTimeUpdate?.(this.time, this.duration);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Set playback speed multiplier
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    //------------------------------------------------------------------------------------
+    // Draw the frame shown at the current time (latest frame at or before it): every
+    // climber (others in their own colours), the slip/fall events happening then and
+    // a note on frames with weak registration
+    draw() {
+        if (!this.frames.length) return;
+        const frame = this.frames[this._frameIndexAt(this.time)];
+
+        // Image B, then the climbers (frames without a pose show Image B only)
+        this.canvasEl.width  = this.imgEl.naturalWidth;
+        this.canvasEl.height = this.imgEl.naturalHeight;
+        const ctx = this.canvasEl.getContext('2d');
+        ctx.drawImage(this.imgEl, 0, 0);
+        drawLandmarks(ctx, frame.landmarks, { ...this.drawOptions, color: this.color });
+        for (const other of frame.others ?? []) {
+            drawLandmarks(ctx, other.landmarks, { ...this.drawOptions, color: other.color });
+        }
+        drawSlipMarkers(ctx, this.events, this.startTime + this.time);
+
+        // Weak frame note (top-left corner, also in recordings)
+        const note = frame.flowLost ? 'Camera motion lost' : frame.weak ? 'Weak match' : null;
+        if (note) {
+            const scale = Math.max(1, this.canvasEl.width / 1000);
+            ctx.save();
+            ctx.font         = `bold ${Math.round(14 * scale)}px sans-serif`;
+            ctx.textAlign    = 'left';
+            ctx.textBaseline = 'top';
+            ctx.lineWidth    = 3 * scale;
+            ctx.strokeStyle  = 'black';
+            ctx.fillStyle    = '#FFC107';
+            ctx.strokeText(note, 10 * scale, 10 * scale);
+            ctx.fillText(note, 10 * scale, 10 * scale);
+            ctx.restore();
+        }
+    }
+
+    //------------------------------------------------------------------------------------
+    // Play once from the start while recording the canvas. Resolves with a WebM Blob, or
+    // rejects if playback is paused (or new frames are set) before the end, or if there
+    // is nothing to play.
+    record(fps = 30) {
+        return new Promise((resolve, reject) => {
+            if (!this.frames.length) {
+                reject(new Error('No frames to record'));
+                return;
+            }
+            if (!window.MediaRecorder || !this.canvasEl.captureStream) {
+                reject(new Error('MediaRecorder is not supported in this browser'));
+                return;
+            }
+            const stream   = this.canvasEl.captureStream(fps);
+            const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+            const chunks   = [];
+
+            const recording = { recorder, stream, cancelled: false };
+
+            recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+            recorder.onstop  = () => {
+                if (recording.cancelled) reject(new Error('Recording stopped before the end'));
+                else resolve(new Blob(chunks, { type: 'video/webm' }));
+            };
+            recorder.onerror = (e) => {
+                if (this.recording === recording) this._stopRecording(true);
+                reject(e.error || e);
+            };
+
+            // Recording stops when playback pauses (see pause)
+            this.pause();
+            this.seek(0);
+            this.recording = recording;
+            recorder.start();
+            this.play();
+        });
+    }
+
+    //------------------------------------------------------------------------------------
+    // Stop the recorder and the capture stream
+    _stopRecording(cancelled) {
+        const { recorder, stream } = this.recording;
+        this.recording.cancelled = cancelled;
+        this.recording = null;
+        stream.getTracks().forEach(track => track.stop());
+        if (recorder.state !== 'inactive') recorder.stop();
+    }
+
+    //------------------------------------------------------------------------------------
+    // Animation tick: advance time by elapsed real time * speed
+    _tick(now) {
+        if (!this.playing) return;
+        if (this.lastTick !== null) {
+            this.time += ((now - this.lastTick) / 1000) * this.speed;
+        }
+        this.lastTick = now;
+
+        if (this.time >= this.duration) {
+            this.time = this.duration;
+            this.draw();
+            this.onTimeUpdate?.(this.time, this.duration);
+            this.pause();
+            this.onEnded?.();
+            return;
+        }
+        this.draw();
+        this.onTimeUpdate?.(this.time, this.duration);
+        this.rafId = requestAnimationFrame(this._tick);
+    }
+
+    //------------------------------------------------------------------------------------
+    // Index of the latest frame at or before time t (binary search)
+    _frameIndexAt(t) {
+        let lo = 0, hi = this.frames.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.frames[mid].time <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+}
@@ -0,0 +1,35 @@
+// export_orb_json.js
+// Save and load ORB feature files created by ORBModule.exportJSON
+
+import { downloadJSON } from '../export_utils.js';
+
+/* DOWNLOAD FEATURES JSON
+----------------------------------------------------------------------------
+Save an ORB features JSON object to the user's device as a .json file.
+----------------------------------------------------------------------------*/
+
+export function downloadFeaturesJSON(json, filename = 'features.json') {
+    downloadJSON(json, filename);
+}
+
+/* READ FEATURES FILE
+----------------------------------------------------------------------------
+Read a features .json file selected by the user and parse it. Validation of
+the contents is done by ORBModule.importJSON.
+----------------------------------------------------------------------------*/
+
+export function readFeaturesFile(file) {
+    // Return a promise that resolves with the parsed JSON
+    return new Promise((res, rej) => {
+        const r = new FileReader(); // FileReader to read the file
+        r.onload = () => {
+            try {
+                res(JSON.parse(r.result)); // parse file text
+            } catch (e) {
+                rej(new Error(`Invalid features file: ${e.message}`));
+            }
+        };
+        r.onerror = rej; // onerror handler for FileReader
+        r.readAsText(file); // read file as text
+    });
+}
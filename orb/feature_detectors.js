@@ -0,0 +1,102 @@
+// feature_detectors.js
+// Feature detector/descriptor backends available to ORBModule
+
+/* DETECTOR BACKENDS
+_______________________________________________________________________________
+Each backend creates an OpenCV.js Feature2D detector from its parameters and
+names the matcher norm its descriptors need. All backends here produce binary
+(CV_8U) descriptors, so they share the same serialization and JSON format.
+Backends are keyed by their OpenCV.js class name; AKAZE and BRISK are missing
+from some builds (see isDetectorAvailable). Only the default constructors are
+bound, so parameters are set with the detector's setters where they exist.
+Ref: https://docs.opencv.org/4.x/d5/d51/group__features2d__main.html
+_______________________________________________________________________________*/
+
+export const DETECTORS = {
+
+  /* ORB: fast, good default for textured walls
+  ---------------------------------------------------------------------------*/
+  ORB: {
+    norm: 'NORM_HAMMING',
+    create(cv, opts = {}) {
+      const {
+        nfeatures = 1200,
+        scaleFactor = 1.2,
+        nlevels = 8,
+        edgeThreshold = 31,
+        firstLevel = 0,
+        WTA_K = 2,
+        scoreType = cv.ORB_HARRIS_SCORE,
+        patchSize = 31,
+        fastThreshold = 20
+      } = opts;
+      return new cv.ORB(
+        nfeatures,
+        scaleFactor,
+        nlevels,
+        edgeThreshold,
+        firstLevel,
+        WTA_K,
+        scoreType,
+        patchSize,
+        fastThreshold
+      );
+    }
+  },
+
+  /* AKAZE: slower, more stable on low light and repetitive texture
+  ---------------------------------------------------------------------------*/
+  AKAZE: {
+    norm: 'NORM_HAMMING',
+    create(cv, opts = {}) {
+      const {
+        threshold = 0.001, // detector response threshold
+        nOctaves = 4, // maximum octave evolution of the image
+        nOctaveLayers = 4 // sublevels per scale level
+      } = opts;
+      const akaze = new cv.AKAZE(); // MLDB binary descriptor by default
+      akaze.setThreshold?.(threshold);
+      akaze.setNOctaves?.(nOctaves);
+      akaze.setNOctaveLayers?.(nOctaveLayers);
+      return akaze;
+    }
+  },
+
+  /* BRISK: scale/rotation invariant, robust on blurry frames
+  ---------------------------------------------------------------------------*/
+  BRISK: {
+    norm: 'NORM_HAMMING',
+    create(cv, opts = {}) {
+      const {
+        thresh = 30, // AGAST detection threshold
+        octaves = 3, // detection octaves
+        patternScale = 1.0 // scale of the sampling pattern
+      } = opts;
+      const brisk = new cv.BRISK();
+      brisk.setThreshold?.(thresh);
+      brisk.setOctaves?.(octaves);
+      brisk.setPatternScale?.(patternScale); // only in newer OpenCV versions
+      return brisk;
+    }
+  }
+};
+
+/* IS DETECTOR AVAILABLE
+-------------------------------------------------------------------------------
+True if the backend exists and the OpenCV.js build exposes its class.
+-------------------------------------------------------------------------------*/
+
+export function isDetectorAvailable(cv, name) {
+  return Boolean(DETECTORS[name]) && typeof cv?.[name] === 'function';
+}
+
+/* GET DETECTOR BACKEND
+-------------------------------------------------------------------------------
+Look up a backend by name and throw if it is not supported.
+-------------------------------------------------------------------------------*/
+
+export function getDetector(name = 'ORB') {
+  const detector = DETECTORS[name];
+  if (!detector) throw new Error(`Unsupported feature detector: ${name}`);
+  return detector;
+}
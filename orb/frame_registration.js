@@ -0,0 +1,84 @@
+// frame_registration.js
+// Register every sampled video frame (or every keyframe) to Image B
+
+import { matFromImageEl, climberMaskFromLandmarks } from './orb_utils.js';
+
+/* REGISTER FRAMES TO TARGET IMAGE
+_______________________________________________________________________________
+Detect background features on each keyframe, match them against the features
+of Image B and keep a homography per frame. Frames between keyframes reuse
+the last keyframe's matrix. Frames whose match has fewer than minInliers
+inliers are flagged as weak and fall back to the last good matrix (or the
+fallback matrix, e.g. the first-frame homography).
+
+Returns one entry per frame:
+{ homography: number[9] | null, numInliers, weak, keyframe }
+_______________________________________________________________________________*/
+
+export async function registerFrames({
+    orbModule, // ORBModule instance
+    frameStore, // FrameStore with raw frames (indexed like landmarks)
+    landmarks, // pose landmarks per frame (pixel coords) for climber masks
+    targetResult, // detection result for Image B
+    detectParams, // detector options (same backend as targetResult)
+    matchOptions, // { ratio, ransacThresh }
+    keyframeStep = 1, // register every n-th frame
+    minInliers = 15, // below this a match is flagged as weak
+    maskPadding = null, // padding around climber mask (null = no mask)
+    fallbackHomography = null, // used until the first good match
+    onProgress = null // callback(frameIdx, total)
+}) {
+    const results = [];
+    let lastGood  = fallbackHomography; // last reliable matrix
+    let lastKey   = null; // result of the last keyframe
+
+    for (let i = 0; i < landmarks.length; i++) {
+
+        /* Non-keyframes reuse the last keyframe
+        -------------------------------------------------------------------*/
+        if (i % keyframeStep !== 0 && lastKey) {
+            results.push({ ...lastKey, keyframe: false });
+            continue;
+        }
+
+        onProgress?.(i, landmarks.length);
+
+        /* Detect and match this frame
+        -------------------------------------------------------------------*/
+        let match = null;
+        await frameStore?.use(i, (img) => {
+            if (!img) return;
+            const mat = matFromImageEl(img);
+            const mask = maskPadding !== null && landmarks?.[i]?.length
+                ? climberMaskFromLandmarks(landmarks[i], mat.cols, mat.rows, maskPadding)
+                : null;
+            try {
+                const detected = orbModule.detectFeatures(mat, detectParams, 0, 0, mask);
+                if (detected.descriptors) {
+                    match = orbModule.matchFeatures(detected, targetResult, matchOptions);
+                }
+            } catch (e) {
+                console.warn(`Frame ${i} registration failed`, e);
+            } finally {
+                mat.delete();
+                mask?.delete();
+            }
+        });
+
+        /* Keep matrix or flag as weak
+        -------------------------------------------------------------------*/
+        const numInliers = match?.numInliers ?? 0;
+        const weak = !match?.homography || numInliers < minInliers;
+        if (!weak) lastGood = match.homography;
+
+        lastKey = {
+            homography: weak ? lastGood : match.homography,
+            numInliers,
+            weak,
+            keyframe: true
+        };
+        results.push(lastKey);
+    }
+
+    return results;
+}
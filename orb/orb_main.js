@@ -2,11 +2,23 @@
 // Main script for ORB feature detection and matching tool
 
 import { ORBModule } from './ORBModule.js';
+import { DETECTORS, isDetectorAvailable } from './feature_detectors.js';
 import { CropBox } from '../CropBox.js'; 
-import { PoseTransform } from '../PoseTransform.js';
-import { loadImg, matFromImageEl, imshowCompat} from './orb_utils.js';
+import { PoseTransform, multiply3x3, invert3x3, transformPoint3x3 } from '../PoseTransform.js';
+import { loadImg, matFromImageEl, imshowCompat, climberMaskFromLandmarks } from './orb_utils.js';
 import {getShared, setShared} from '../shared_state.js';
-import { drawLandmarksOnImage } from '../pose/pose_utils.js';
+import { drawLandmarks } from '../pose/pose_utils.js';
+import { downloadFeaturesJSON, readFeaturesFile } from './export_orb_json.js';
+import { registerFrames } from './frame_registration.js';
+import { detectContacts, drawContactMarkers } from '../analysis/contacts.js';
+import { centerOfMass, comTrajectory, drawCenterOfMassPath } from '../analysis/center_of_mass.js';
+import { drawLimbTrails, drawLimbHeatmap } from '../analysis/limb_trails.js';
+import { detectSlips, drawSlipMarkers, slipLabel } from '../analysis/slips.js';
+import {
+    buildBetaSequence, betaFramesToCSV, betaMovesToCSV, betaEventsToCSV
+} from '../analysis/beta_export.js';
+import { downloadJSON, downloadCSV, downloadBlob } from '../export_utils.js';
+import { OverlayPlayer } from './OverlayPlayer.js';
 
 /* DOM ELEMENTS
 ____________________________________________________________________________________*/
@@ -27,9 +39,9 @@ const canvasMatches = el('canvasMatches'); // Display matches between imgA and i
 const btnDetect = el('btnDetect'); // Button to detect ORB features on imgA 
 const btnMatch = el('btnMatch'); // Button to match ORB features between imgA and imgB
 const showOrbParams = el('showOrbParams'); // Button to show/hide ORB parameters
-
-// Pose parameters elements (for interpolation when implemented)
-const intervalInput = el('intervalInput'); // Input for frame interval
+const btnLoadFeatures = el('btnLoadFeatures'); // Button to load features.json for imgA
+const btnSaveFeatures = el('btnSaveFeatures'); // Button to save imgA features as JSON
+const featuresFile = el('featuresFile'); // Hidden file input for features.json
 
 // ORB detection stats 
 const statsDetect = el('statsDetect'); // Stats for initial ORB detection
@@ -46,13 +58,62 @@ const scaleFactor = el('scaleFactor');
 const nlevels = el('nlevels'); 
 const fastThreshold = el('fastThreshold'); 
 const patchSize = el('patchSize'); 
+const detectorType = el('detectorType'); // Detector backend select (ORB/AKAZE/BRISK)
+const akazeThreshold = el('akazeThreshold'); 
+const akazeOctaves = el('akazeOctaves'); 
+const akazeOctaveLayers = el('akazeOctaveLayers'); 
+const briskThresh = el('briskThresh'); 
+const briskOctaves = el('briskOctaves'); 
+const briskPatternScale = el('briskPatternScale'); 
+const maskClimber = el('maskClimber'); // Exclude climber (Image A frame pose) from detection
+const maskPadding = el('maskPadding'); // Padding (px) around the climber mask
 
 // Elements transformed landmark display and navigation
 const landmarkNav = el('landmarkNav'); // Navigation container
 const prevBtn = el('prevBtn'); // Previous frame button
 const nextBtn = el('nextBtn'); // Next frame button
 const frameCounter = el('frameCounter'); // Frame counter display
-const frameImg = el('frameImg'); // Frame image display
+const frameCanvas = el('frameCanvas'); // Canvas showing Image B with one frame's landmarks
+
+// Landmark visibility display (controls in the pose section)
+const visThreshold = el('visThreshold'); // Min visibility of confident landmarks
+const hideLowVis = el('hideLowVis'); // Hide low-visibility landmarks
+
+// Animated playback of transformed landmarks
+const btnPlaybackMode = el('btnPlaybackMode'); // Toggle frame stepping / playback
+const playbackCanvas = el('playbackCanvas'); // Canvas for animated overlay
+const playbackControls = el('playbackControls'); // Play/pause, scrub, speed, record
+const btnPlay = el('btnPlay'); // Play/pause button
+const playbackScrub = el('playbackScrub'); // Scrub slider (0-1000)
+const playbackTime = el('playbackTime'); // Current time / duration display
+const playbackSpeed = el('playbackSpeed'); // Speed select
+const btnRecord = el('btnRecord'); // Record WebM button
+const playbackInterpolate = el('playbackInterpolate'); // Interpolate between sampled frames
+const playbackFps = el('playbackFps'); // Interpolated frame rate
+
+// Frame registration options
+const registrationMode = el('registrationMode'); // 'first', 'flow' or 'perFrame'
+const keyframeStep = el('keyframeStep'); // Register every n-th frame
+const minInliers = el('minInliers'); // Inliers below this flag a weak match
+
+// Route summary (contacts/holds drawn on Image B)
+const routeSummary = el('routeSummary'); // Summary section
+const summaryCanvas = el('summaryCanvas'); // Image B with summary layers
+const layerContacts = el('layerContacts'); // Show contacts/holds layer
+const layerCOM = el('layerCOM'); // Show center-of-mass path layer
+const layerTrails = el('layerTrails'); // Show hand/foot trails layer
+const layerHeatmap = el('layerHeatmap'); // Show limb density heatmap layer
+const layerSlips = el('layerSlips'); // Show slip/fall events layer
+const contactRadius = el('contactRadius'); // Contact radius (fraction of torso length)
+const contactMinDuration = el('contactMinDuration'); // Min contact duration (s)
+const contactList = el('contactList'); // Ordered list of contact events
+const slipList = el('slipList'); // Slip/fall events with timestamps
+const btnExportBetaJSON = el('btnExportBetaJSON'); // Export beta sequence as JSON
+const btnExportFramesCSV = el('btnExportFramesCSV'); // Export per-frame landmarks as CSV
+const btnExportMovesCSV = el('btnExportMovesCSV'); // Export move list as CSV
+const btnExportEventsCSV = el('btnExportEventsCSV'); // Export slips/falls as CSV
+const btnExportTrailsPNG = el('btnExportTrailsPNG'); // Export Image B with limb trails
+const btnExportHeatmapPNG = el('btnExportHeatmapPNG'); // Export Image B with limb heatmap
 
 // Section elements for showing/hiding sections in UI
 const orbSection = el('orbSection'); // ORB section
@@ -71,13 +132,20 @@ ________________________________________________________________________________
 const cropBoxA = new CropBox(imgA, el('cropBoxOrbA'));
 const cropBoxB = new CropBox(imgB, el('cropBoxOrbB'));
 
+// Animated overlay player (Image B + transformed skeleton)
+const overlayPlayer = new OverlayPlayer(playbackCanvas, imgB);
+
 // ORBModule instance and detection parameters
 let orbModule; 
 let orbDetectionParameters = {};
 
-// Transformed landmark images array and index for navigation
-let transformedLandmarkImages = [];
+// Transformed landmarks (drawn on demand) and index for navigation
+let transformedFrames = []; // [{ index, time, landmarks, weak, com }] per drawn frame (Image B space)
+let contactResult = null; // contacts/holds detected from transformedFrames
+let slipEvents = []; // slip/fall events detected from transformedFrames
+let homographyAB = null; // A -> B homography used for the transform (row-major 3x3)
 let landmarkFrameIdx = 0;
+let climberColor = null; // colour of the transformed climber when several are tracked
 
 // ORB detection result and source JSON data
 let detectResultA = null;
@@ -89,7 +157,6 @@ ________________________________________________________________________________
 let cvReady     = false; 
 let imgAReady   = false; 
 let imgBReady   = false; 
-let interpolate = false; 
 
 /* HELPER FUNCTIONS
 ____________________________________________________________________________________*/
@@ -100,7 +167,8 @@ ________________________________________________________________________________
 function initOrbModule() {   
     try {
         orbModule = new ORBModule(window.cv); 
-        cvReady = true;        
+        cvReady = true;
+        markUnavailableDetectors();
     } catch (e) {
         console.error('cv init error', e);  
         cvReady = false;                    
@@ -108,18 +176,38 @@ function initOrbModule() {
     refreshButtons();
 }
 
+/* MARK UNAVAILABLE DETECTORS
+------------------------------------------------------------------------------------
+Disable detector backends missing from the loaded OpenCV.js build (detection would 
+fall back to ORB) and switch back to ORB if one of them is selected
+------------------------------------------------------------------------------------*/
+function markUnavailableDetectors() {
+    for (const option of detectorType.options) {
+        if (!DETECTORS[option.value] || isDetectorAvailable(window.cv, option.value)) continue;
+        option.disabled = true;
+        option.textContent = `${option.value} (not in this OpenCV build)`;
+    }
+    if (detectorType.selectedOptions[0]?.disabled) {
+        detectorType.value = 'ORB';
+        detectorType.dispatchEvent(new Event('change'));
+    }
+}
+
 /* REFRESH BUTTONS
 ------------------------------------------------------------------------------------
 Enable or disable buttons based on current state
 -----------------------------------------------------------------------------------*/
 function refreshButtons() {    
     btnDetect.disabled = !(cvReady && imgAReady); 
+    btnLoadFeatures.disabled = !cvReady; 
+    btnSaveFeatures.disabled = !detectResultA; 
     btnMatch.disabled  = !(cvReady && imgBReady && detectResultA); 
 }
 
 /* LOAD IMAGE 
 ------------------------------------------------------------------------------------
-Load the extracted first frame image from shared state for ORB module
+Load the reference frame image from shared state for ORB module (first frame of 
+the range, or the frame picked in the pose section; see referenceIndex)
 -----------------------------------------------------------------------------------*/
 async function loadOrbImageA() {
     // Load first frame image and 
@@ -135,6 +223,47 @@ async function loadOrbImageA() {
     await loadImg(file, imgA); // Load image into imgA
 }
 
+/* CAMERA MOTION RELATIVE TO IMAGE A
+------------------------------------------------------------------------------------
+Tracked homographies map each frame to the first frame. When another frame is 
+used as Image A, re-express them as frame -> reference: inv(H_ref) * H_k.
+-----------------------------------------------------------------------------------*/
+function motionToReference(flow, refIdx) {
+    if (!flow || !refIdx) return flow;
+    const refInv = flow[refIdx] ? invert3x3(flow[refIdx]) : null;
+    if (!refInv) {
+        console.warn(`No camera motion tracked for frame ${refIdx + 1}.`);
+        return flow.map(() => null);
+    }
+    return flow.map(H => H ? multiply3x3(refInv, H) : null);
+}
+
+/* REGISTRATION SHIFTS
+------------------------------------------------------------------------------------
+With a consistent registration, a frame's matrix minus the tracked camera motion 
+(H_k * inv(E_k), E_k = identity without tracked motion) stays the same between 
+samples. Map each frame's COM (Image B) back through its own and forward through 
+the previous frame's; the distance is frame.shift (Image B px, null if unknown). 
+Registration jumps and untracked camera tilt show up as large shifts.
+-----------------------------------------------------------------------------------*/
+function setRegistrationShifts(frames, motion) {
+    const tracked = Boolean(motion?.some(Boolean));
+    const drift = frames.map((f, i) => {
+        if (!f.homography) return null;
+        if (!tracked) return f.homography;
+        const inv = motion[i] ? invert3x3(motion[i]) : null;
+        return inv ? multiply3x3(f.homography, inv) : null;
+    });
+    frames.forEach((f, i) => {
+        f.shift = null;
+        if (i === 0 || !f.com || !drift[i] || !drift[i - 1]) return;
+        const inv = invert3x3(drift[i]);
+        const p = inv && transformPoint3x3(inv, f.com);
+        const q = p && transformPoint3x3(drift[i - 1], p);
+        if (q) f.shift = Math.hypot(q.x - f.com.x, q.y - f.com.y);
+    });
+}
+
 /* SHOW ORB SECTION
 ------------------------------------------------------------------------------------
 Initialize ORB module, load shared first frame image into Image A and show ORB 
@@ -160,49 +289,54 @@ export async function showOrbSection() {
     refreshButtons(); // refresh buttons
 }
 
-/* DRAW TRANSFORMED LANDMARKS
+/* READ DETECTOR PARAMETERS
 ------------------------------------------------------------------------------------
-Draw transformed landmarks on image B and return array of drawn images 
------------------------------------------------------------------------------------- */
-function drawTransformedPoses(transformedPoses, imgB) {
-    let drawnImages = [];
-    try {
-        for (let i = 0; i < transformedPoses.length; i++) {
-            const landmarks = transformedPoses[i];
-            if (!landmarks || landmarks.length === 0) continue;
-            const tempCanvas = document.createElement('canvas');
-            drawLandmarksOnImage(tempCanvas, imgB, landmarks);
-            drawnImages.push(tempCanvas.toDataURL());
-        }
-
-    } catch (e) {
-        console.error('Drawing landmarks error', e);
-        alert('Drawing landmarks failed. See console.');
-        return;
-    } finally {
-        return drawnImages;
+Read the parameter panel of the given detector backend into an options object 
+for ORBModule.detectFeatures
+------------------------------------------------------------------------------------*/
+function readDetectorParams(detector = detectorType.value) {
+    switch (detector) {
+        case 'AKAZE':
+            return {
+                detector,
+                threshold: Number(akazeThreshold.value) || 0.001,
+                nOctaves: Number(akazeOctaves.value) || 4,
+                nOctaveLayers: Number(akazeOctaveLayers.value) || 4,
+            };
+        case 'BRISK':
+            return {
+                detector,
+                thresh: Number(briskThresh.value) || 30,
+                octaves: Number(briskOctaves.value) || 3,
+                patternScale: Number(briskPatternScale.value) || 1.0,
+            };
+        default:
+            return { 
+                detector: 'ORB',
+                nfeatures: Number(nfeatures.value) || 1200,
+                edgeThreshold: Number(edgeThreshold.value) || 31,
+                scaleFactor: Number(scaleFactor.value) || 1.2,
+                nlevels: Number(nlevels.value) || 8,
+                fastThreshold: Number(fastThreshold.value) || 20,
+                patchSize: Number(patchSize.value) || 31,
+            };
     }
 }
 
-/* DISPLAY LANDMARK IMAGES
+/* DISPLAY TRANSFORMED LANDMARKS
 ------------------------------------------------------------------------------------
-Display images with transformed landmarks drawn on them and set up navigation
+Show the first transformed frame and the navigation. Frames are drawn on demand 
+in showTransformedFrame instead of keeping a rendered image per frame.
 ------------------------------------------------------------------------------------*/
-function displayTransformedLandmarks(drawnImages) {
+function displayTransformedLandmarks() {
     try {
-
-        prevBtn.addEventListener('click', () => showTransformedFrame(landmarkFrameIdx - 1));
-        nextBtn.addEventListener('click', () => showTransformedFrame(landmarkFrameIdx + 1));
-
-        // After you generate drawnImages:
-        transformedLandmarkImages = drawnImages;
-        if (transformedLandmarkImages.length > 0) {
+        if (transformedFrames.some(f => f.landmarks.length > 0)) {
             landmarkNav.hidden = false;
             showTransformedFrame(0);
-            frameImg.style.display = '';
+            frameCanvas.style.display = '';
         } else {
             landmarkNav.hidden = true;
-            frameImg.style.display = 'none';
+            frameCanvas.style.display = 'none';
         }
     } catch (e) {
         console.error('Displaying landmarks error', e);
@@ -213,17 +347,69 @@ function displayTransformedLandmarks(drawnImages) {
 
 /* INTERPOLATE FRAMES IN WORKER
 ------------------------------------------------------------------------------------
-Use a Web Worker to interpolate frames for smoother landmark transitions
-
-NOTE: This function is not currently implemented (too slow). Needs adjustments. 
+Use a Web Worker to resample frames at fps with a spline keyed on the frame times 
+for smoother landmark transitions. Landmarks are sent as transferable typed arrays.
+Gaps longer than maxGap (default 2.5x the median sampling interval) are not 
+interpolated. Resolves with [{ time, landmarks }].
 ------------------------------------------------------------------------------------*/
 
-function interpolateFramesInWorker(frames, interval) {
+function interpolateFramesInWorker(frames, fps = 30, maxGap = null) {
     return new Promise((resolve, reject) => {
+        if (maxGap === null) {
+            const steps = frames.slice(1).map((f, i) => f.time - frames[i].time).sort((a, b) => a - b);
+            maxGap = 2.5 * (steps[Math.floor(steps.length / 2)] || 1);
+        }
+
+        const numLandmarks = Math.max(0, ...frames.map(f => f.landmarks.length));
+        const stride = numLandmarks * 4; // x, y, z, visibility
+
+        // Pack frames into typed arrays
+        const times = new Float64Array(frames.length);
+        const data  = new Float32Array(frames.length * stride);
+        const valid = new Uint8Array(frames.length);
+        frames.forEach((frame, i) => {
+            times[i] = frame.time;
+            if (frame.landmarks.length !== numLandmarks) return; // skip incomplete frames
+            valid[i] = 1;
+            frame.landmarks.forEach((lm, k) => {
+                const o = i * stride + k * 4;
+                data[o]     = lm.x;
+                data[o + 1] = lm.y;
+                data[o + 2] = lm.z ?? 0;
+                data[o + 3] = lm.visibility ?? 1;
+            });
+        });
+
         const worker = new Worker('interpolate.js');
-        worker.postMessage({ frames, interval });
+        worker.postMessage(
+            { times, data, valid, numLandmarks, fps, maxGap }, 
+            [times.buffer, data.buffer, valid.buffer]
+        );
         worker.onmessage = (e) => {
-            resolve(e.data);
+            // Unpack typed arrays back to landmark objects
+            const out = [];
+            for (let i = 0; i < e.data.times.length; i++) {
+                const landmarks = [];
+                for (let k = 0; k < numLandmarks; k++) {
+                    const o = i * stride + k * 4;
+                    landmarks.push({
+                        x: e.data.data[o],
+                        y: e.data.data[o + 1],
+                        z: e.data.data[o + 2],
+                        visibility: e.data.data[o + 3]
+                    });
+                }
+                out.push({ time: e.data.times[i], landmarks });
+            }
+            // Other climbers and weak flags are held from the latest sampled frame
+            let j = 0;
+            for (const frame of out) {
+                while (j + 1 < frames.length && frames[j + 1].time <= frame.time + 1e-6) j++;
+                frame.others   = frames[j].others ?? [];
+                frame.weak     = frames[j].weak ?? false;
+                frame.flowLost = frames[j].flowLost ?? false;
+            }
+            resolve(out);
             worker.terminate();
         };
         worker.onerror = (err) => {
@@ -233,18 +419,155 @@ function interpolateFramesInWorker(frames, interval) {
     });
 }
 
+/* UPDATE PLAYER FRAMES
+------------------------------------------------------------------------------------
+Load transformed frames into the animated player, interpolated to the playback 
+frame rate if enabled (so low sampling rates still animate smoothly)
+------------------------------------------------------------------------------------*/
+
+async function updatePlayerFrames() {
+    if (!transformedFrames.length) return;
+    if (!playbackInterpolate.checked) {
+        overlayPlayer.setFrames(transformedFrames);
+        return;
+    }
+    try {
+        const fps = Math.min(60, Math.max(1, Number(playbackFps.value) || 30));
+        overlayPlayer.setFrames(await interpolateFramesInWorker(transformedFrames, fps));
+    } catch (e) {
+        console.error('Interpolation error', e);
+        overlayPlayer.setFrames(transformedFrames);
+    }
+}
+
+/* DRAW OPTIONS
+------------------------------------------------------------------------------------
+Low-visibility landmark display options for drawLandmarks
+------------------------------------------------------------------------------------*/
+function drawOptions() {
+    return {
+        minVisibility: Number(visThreshold.value) || 0,
+        hideLowVisibility: hideLowVis.checked
+    };
+}
+
+[visThreshold, hideLowVis].forEach(input => {
+    input.addEventListener('change', () => {
+        overlayPlayer.drawOptions = drawOptions();
+        showTransformedFrame(landmarkFrameIdx);
+        if (!playbackCanvas.hidden) overlayPlayer.draw();
+    });
+});
+
 /* SHOW LANDMARK FRAME
 ------------------------------------------------------------------------------------
 Display a specific frame with transformed landmarks based on the given index
 ------------------------------------------------------------------------------------*/
 
-function showTransformedFrame(idx) {
-    if (!transformedLandmarkImages.length) return;
-    landmarkFrameIdx = Math.max(0, Math.min(idx, transformedLandmarkImages.length - 1));
-    frameImg.src = transformedLandmarkImages[landmarkFrameIdx];
-    frameCounter.textContent = `Frame ${landmarkFrameIdx + 1} / ${transformedLandmarkImages.length}`;
+export function showTransformedFrame(idx) {
+    if (!transformedFrames.length) return;
+    landmarkFrameIdx = Math.max(0, Math.min(idx, transformedFrames.length - 1));
+    const frame = transformedFrames[landmarkFrameIdx];
+    const options = drawOptions();
+
+    // Draw Image B, then every climber (frames without a pose show Image B only)
+    frameCanvas.width  = imgB.naturalWidth;
+    frameCanvas.height = imgB.naturalHeight;
+    const ctx = frameCanvas.getContext('2d');
+    ctx.drawImage(imgB, 0, 0);
+    drawLandmarks(ctx, frame.landmarks, { ...options, color: climberColor });
+    for (const other of frame.others ?? []) {
+        drawLandmarks(ctx, other.landmarks, { ...options, color: other.color });
+    }
+    drawSlipMarkers(ctx, slipEvents, frame.time);
+    const weak = frame.flowLost ? ' (camera motion lost)' : frame.weak ? ' (weak match)' : '';
+    const noPose = frame.landmarks.length ? '' : ' (no pose)';
+    frameCounter.textContent = 
+        `Frame ${landmarkFrameIdx + 1} / ${transformedFrames.length}${weak}${noPose}`;
     prevBtn.disabled = landmarkFrameIdx === 0;
-    nextBtn.disabled = landmarkFrameIdx === transformedLandmarkImages.length - 1;
+    nextBtn.disabled = landmarkFrameIdx === transformedFrames.length - 1;
+}
+
+prevBtn.addEventListener('click', () => showTransformedFrame(landmarkFrameIdx - 1));
+nextBtn.addEventListener('click', () => showTransformedFrame(landmarkFrameIdx + 1));
+
+/* UPDATE CONTACTS
+------------------------------------------------------------------------------------
+Detect hand/foot contacts on the transformed landmarks, cluster them into holds 
+and list them in order
+------------------------------------------------------------------------------------*/
+
+function updateContacts() {
+    if (!transformedFrames.length) return;
+
+    contactResult = detectContacts(transformedFrames, {
+        radiusRatio: Number(contactRadius.value) || 0.15,
+        minDuration: Number(contactMinDuration.value) || 0,
+    });
+
+    // List contact events (limb, hold, start/end time)
+    contactList.textContent = contactResult.events.length
+        ? contactResult.events.map((ev, i) => 
+            `${i + 1}. ${ev.limb} on hold ${ev.holdId} ` +
+            `(${ev.start.toFixed(2)}s - ${ev.end.toFixed(2)}s)`
+          ).join('\n')
+        : 'No contacts detected.';
+
+    renderRouteSummary();
+}
+
+/* UPDATE SLIPS
+------------------------------------------------------------------------------------
+Detect slips and falls on the transformed landmarks/COM and list them with their 
+timestamps (click an event to show its frame). Weak frames and registration 
+shifts are skipped (see setRegistrationShifts).
+------------------------------------------------------------------------------------*/
+
+function updateSlips() {
+    slipEvents = detectSlips(transformedFrames);
+    overlayPlayer.events = slipEvents;
+
+    slipList.innerHTML = slipEvents.length ? '' : 'No slips or falls detected.';
+    // Without tracked camera motion a camera tilt cannot be told apart from a slip
+    if (registrationMode.value === 'first' && !getShared('poseFlow')?.some(Boolean)) {
+        slipList.prepend('Camera assumed static: check events against camera motion.', 
+            document.createElement('br'));
+    }
+    slipEvents.forEach((ev, i) => {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.textContent = 
+            `${i + 1}. ${slipLabel(ev)} at ${ev.time.toFixed(2)}s ` +
+            `(drop ${ev.drop.toFixed(2)} torso lengths)`;
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showTransformedFrame(ev.index);
+        });
+        slipList.append(link, document.createElement('br'));
+    });
+}
+
+/* RENDER ROUTE SUMMARY
+------------------------------------------------------------------------------------
+Draw Image B with the enabled summary layers (heatmap, limb trails, COM path, 
+contacts/holds, slips/falls) on the summary canvas
+------------------------------------------------------------------------------------*/
+
+function renderRouteSummary() {
+    if (!imgBReady || !transformedFrames.length) return;
+    
+    summaryCanvas.width  = imgB.naturalWidth;
+    summaryCanvas.height = imgB.naturalHeight;
+    const ctx = summaryCanvas.getContext('2d');
+    ctx.drawImage(imgB, 0, 0, summaryCanvas.width, summaryCanvas.height);
+    
+    if (layerHeatmap.checked) drawLimbHeatmap(ctx, transformedFrames);
+    if (layerTrails.checked) drawLimbTrails(ctx, transformedFrames);
+    if (layerCOM.checked) drawCenterOfMassPath(ctx, comTrajectory(transformedFrames));
+    if (layerContacts.checked && contactResult) drawContactMarkers(ctx, contactResult);
+    if (layerSlips.checked) drawSlipMarkers(ctx, slipEvents);
+
+    routeSummary.hidden = false;
 }
 
 /* EVENT HANDLERS
@@ -275,6 +598,145 @@ fileB.addEventListener('change', async () => {
     refreshButtons(); // refresh button states
 });
 
+/* Route Summary Controls Change Event
+-----------------------------------------------------------------------------------
+Re-detect contacts when parameters change, redraw when a layer is toggled
+-----------------------------------------------------------------------------------*/
+[contactRadius, contactMinDuration].forEach(input => {
+    input.addEventListener('change', updateContacts);
+});
+[layerContacts, layerCOM, layerTrails, layerHeatmap, layerSlips].forEach(layer => {
+    layer.addEventListener('change', renderRouteSummary);
+});
+
+/* Playback Events
+-----------------------------------------------------------------------------------
+Switch between frame stepping and animated playback, play/pause, scrub, change 
+speed and record the animation to WebM
+-----------------------------------------------------------------------------------*/
+btnPlaybackMode.addEventListener('click', () => {
+    const toPlayback = playbackControls.hidden;
+    overlayPlayer.pause();
+    btnPlay.textContent = 'Play';
+    playbackControls.hidden = !toPlayback;
+    playbackCanvas.hidden = !toPlayback;
+    frameCanvas.style.display = toPlayback ? 'none' : '';
+    btnPlaybackMode.textContent = toPlayback ? 'Step Frames' : 'Playback';
+    if (toPlayback) overlayPlayer.draw();
+});
+
+btnPlay.addEventListener('click', () => {
+    if (overlayPlayer.playing) {
+        overlayPlayer.pause();
+        btnPlay.textContent = 'Play';
+    } else {
+        overlayPlayer.play();
+        btnPlay.textContent = 'Pause';
+    }
+});
+
+playbackScrub.addEventListener('input', () => {
+    overlayPlayer.seek((Number(playbackScrub.value) / 1000) * overlayPlayer.duration);
+});
+
+[playbackInterpolate, playbackFps].forEach(input => {
+    input.addEventListener('change', updatePlayerFrames);
+});
+
+playbackSpeed.addEventListener('change', () => {
+    overlayPlayer.setSpeed(Number(playbackSpeed.value));
+});
+
+overlayPlayer.onTimeUpdate = (t, duration) => {
+    playbackScrub.value = duration ? Math.round((t / duration) * 1000) : 0;
+    playbackTime.textContent = `${t.toFixed(2)}s / ${duration.toFixed(2)}s`;
+};
+
+overlayPlayer.onEnded = () => {
+    btnPlay.textContent = 'Play';
+};
+
+// Controls that would pause, seek or reload the player are locked while recording
+const recordLockedControls = [
+    btnRecord, btnPlay, btnPlaybackMode, playbackScrub, playbackInterpolate, playbackFps
+];
+
+btnRecord.addEventListener('click', async () => {
+    recordLockedControls.forEach(control => { control.disabled = true; });
+    btnRecord.textContent = 'Recording...';
+    try {
+        const webm = await overlayPlayer.record();
+        downloadBlob(webm, 'climb_overlay.webm');
+    } catch (e) {
+        console.error('Recording error', e);
+        alert(`Recording failed: ${e.message}`);
+    } finally {
+        recordLockedControls.forEach(control => { control.disabled = false; });
+        btnRecord.textContent = 'Record WebM';
+    }
+});
+
+/* Export Beta Click Events
+-----------------------------------------------------------------------------------
+Export the climb (homography, per-frame landmarks, move list, slip/fall events) as 
+JSON or CSV
+-----------------------------------------------------------------------------------*/
+function currentBetaSequence() {
+    return buildBetaSequence({
+        homography: homographyAB,
+        registration: registrationMode.value,
+        imageSize: { width: imgB.naturalWidth, height: imgB.naturalHeight },
+        frames: transformedFrames,
+        contacts: contactResult,
+        metrics: getShared('poseMetrics'),
+        events: slipEvents
+    });
+}
+
+btnExportBetaJSON.addEventListener('click', () => {
+    if (!transformedFrames.length) return;
+    downloadJSON(currentBetaSequence(), 'beta.json');
+});
+
+// One file per button (browsers may block several downloads from one click)
+btnExportFramesCSV.addEventListener('click', () => {
+    if (!transformedFrames.length) return;
+    downloadCSV(betaFramesToCSV(currentBetaSequence()), 'beta_frames.csv');
+});
+
+btnExportMovesCSV.addEventListener('click', () => {
+    if (!transformedFrames.length) return;
+    downloadCSV(betaMovesToCSV(currentBetaSequence()), 'beta_moves.csv');
+});
+
+btnExportEventsCSV.addEventListener('click', () => {
+    if (!transformedFrames.length) return;
+    downloadCSV(betaEventsToCSV(currentBetaSequence()), 'beta_events.csv');
+});
+
+/* Summary PNG Export Click Events
+-----------------------------------------------------------------------------------
+Render Image B with only the limb trails or only the heatmap and save it as PNG
+-----------------------------------------------------------------------------------*/
+function exportSummaryPNG(drawLayer, filename) {
+    if (!imgBReady || !transformedFrames.length) return;
+    const canvas  = document.createElement('canvas');
+    canvas.width  = imgB.naturalWidth;
+    canvas.height = imgB.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(imgB, 0, 0, canvas.width, canvas.height);
+    drawLayer(ctx, transformedFrames);
+    canvas.toBlob(blob => downloadBlob(blob, filename), 'image/png');
+}
+
+btnExportTrailsPNG.addEventListener('click', () => {
+    exportSummaryPNG(drawLimbTrails, 'limb_trails.png');
+});
+
+btnExportHeatmapPNG.addEventListener('click', () => {
+    exportSummaryPNG(drawLimbHeatmap, 'limb_heatmap.png');
+});
+
 /* Show ORB Parameters Click Event
 -----------------------------------------------------------------------------------
 Show/hide ORB parameters section when button is clicked
@@ -283,6 +745,16 @@ showOrbParams.addEventListener('click', () => {
   orbParamsEl.hidden = !orbParamsEl.hidden;
 });
 
+/* Detector Type Change Event
+-----------------------------------------------------------------------------------
+Show the parameter panel of the selected detector backend
+-----------------------------------------------------------------------------------*/
+detectorType.addEventListener('change', () => {
+    document.querySelectorAll('.detector-params').forEach(panel => {
+        panel.hidden = panel.id !== `params${detectorType.value}`;
+    });
+});
+
 /* Detect Button Click Event 
 -----------------------------------------------------------------------------------
 Run ORB feature detection on cropped Image A when button is clicked
@@ -295,33 +767,46 @@ btnDetect.addEventListener('click', () => {
     const croppedCanvasA = cropBoxA.cropImage(); // crop image to canvas
     const croppedMatA = matFromImageEl(croppedCanvasA); // Mat for detection 
 
-    // Set ORB options 
-    orbDetectionParameters = { 
-        nfeatures: Number(nfeatures.value) || 1200,
-        edgeThreshold: Number(edgeThreshold.value) || 31,
-        scaleFactor: Number(scaleFactor.value) || 1.2,
-        nlevels: Number(nlevels.value) || 8,
-        fastThreshold: Number(fastThreshold.value) || 20,
-        patchSize: Number(patchSize.value) || 31,
-    };
+    // Mask out the climber using the pose of the frame used as Image A
+    const firstPose = getShared('poseA')?.[getShared('referenceIndex') ?? 0];
+    const maskA = maskClimber.checked && firstPose?.length
+        ? climberMaskFromLandmarks(
+            firstPose, 
+            imgA.naturalWidth, 
+            imgA.naturalHeight, 
+            Number(maskPadding.value) || 0, 
+            cropRectA
+        )
+        : null;
+
+    // Set detector options from the selected backend's parameter panel
+    orbDetectionParameters = readDetectorParams();
     
-    // Run ORB detection
+    // Run feature detection
     try {     
-        // Detect ORB features on cropped image
-        detectResultA = orbModule.detectORB(
+        // Detect features on cropped image
+        detectResultA = orbModule.detectFeatures(
             croppedMatA, 
             orbDetectionParameters, 
             cropRectA.x, 
             cropRectA.y,
+            maskA
         );
 
+        // Requested backend missing from the OpenCV.js build (ORB used instead)
+        if (detectResultA.detector !== orbDetectionParameters.detector) {
+            alert(`${orbDetectionParameters.detector} is not available in this OpenCV.js build. ` +
+                'Features were detected with ORB.');
+            orbDetectionParameters = readDetectorParams('ORB');
+        }
+
         // Get full image dimensions
         const fullW = imgA.naturalWidth;
         const fullH = imgA.naturalHeight;
 
         // Update detection stats display
         statsDetect.textContent =
-            `A: ${detectResultA.width}x${detectResultA.height}\n` +
+            `A: ${detectResultA.width}x${detectResultA.height} (${detectResultA.detector})\n` +
             `keypoints: ${detectResultA.keypoints.length}\n` +
             `descriptors: ${detectResultA.descriptors?.rows ?? 0} x ${detectResultA.descriptors?.cols ?? 0}`;
         
@@ -347,16 +832,87 @@ btnDetect.addEventListener('click', () => {
         sourceJson = null;
     } finally { 
         croppedMatA.delete(); 
+        maskA?.delete(); 
         refreshButtons(); 
         status2El.innerHTML = `Detected ${detectResultA?.keypoints.length || 0} keypoints.`;
     }
 });
 
+/* Load Features Click Event
+-----------------------------------------------------------------------------------
+Open the file picker for a saved features.json
+-----------------------------------------------------------------------------------*/
+btnLoadFeatures.addEventListener('click', () => featuresFile.click());
+
+/* Features File Change Event
+-----------------------------------------------------------------------------------
+Load saved ORB features for Image A from JSON so detection can be skipped
+-----------------------------------------------------------------------------------*/
+featuresFile.addEventListener('change', async () => {
+    const f = featuresFile.files?.[0]; // get selected file
+    if (!f || !cvReady) return; // if no file or cv not ready, exit
+    
+    try {
+        const json = await readFeaturesFile(f); // parse JSON file
+        
+        // Rebuild pixel coordinates for the current Image A (if loaded)
+        detectResultA = orbModule.importJSON(
+            json, 
+            imgAReady ? imgA.naturalWidth : undefined, 
+            imgAReady ? imgA.naturalHeight : undefined
+        );
+        sourceJson = json;
+
+        // Update detection stats display
+        statsDetect.textContent =
+            `A: ${detectResultA.width}x${detectResultA.height} (${detectResultA.detector}, loaded)\n` +
+            `keypoints: ${detectResultA.keypoints.length}\n` +
+            `descriptors: ${detectResultA.descriptors?.rows ?? 0} x ${detectResultA.descriptors?.cols ?? 0}`;
+
+        matchSection.hidden = false; // show match section
+        matchControls.hidden = false; // show match controls
+        
+        // Draw loaded keypoints on image A
+        if (imgAReady) {
+            canvasA.hidden = false; // show canvasA (image with keypoints)
+            imgA.style.display = 'none'; // hide original imageA
+            cropBoxA.cropBoxEl.hidden = true; // hide crop box A
+            const fullMat = matFromImageEl(imgA);
+            orbModule.drawKeypoints(fullMat, detectResultA.keypoints, canvasA);
+            fullMat.delete();
+        }
+        status2El.innerHTML = 
+            `Loaded ${detectResultA.keypoints.length} keypoints from ${f.name}.`;
+    
+    } catch (e) {
+        console.error('Load features error', e);
+        alert(`Load features failed: ${e.message}`);
+        detectResultA = null;
+        sourceJson = null;
+    } finally {
+        featuresFile.value = ''; // allow reloading the same file
+        refreshButtons();
+    }
+});
+
+/* Save Features Click Event
+-----------------------------------------------------------------------------------
+Download Image A features as JSON (keypoints normalized to the full image size)
+-----------------------------------------------------------------------------------*/
+btnSaveFeatures.addEventListener('click', () => {
+    if (!detectResultA) return;
+    const imageSize = imgAReady 
+        ? { width: imgA.naturalWidth, height: imgA.naturalHeight } 
+        : null;
+    sourceJson = orbModule.exportJSON(detectResultA, imageSize);
+    downloadFeaturesJSON(sourceJson);
+});
+
 /* Match Button Click Event
 -----------------------------------------------------------------------------------
 Match ORB features between Image A and Image B when button is clicked
 -----------------------------------------------------------------------------------*/
-btnMatch.addEventListener('click', () => {
+btnMatch.addEventListener('click', async () => {
     
     if (!cvReady || !imgBReady) return; 
     if (!detectResultA) { 
@@ -364,108 +920,278 @@ btnMatch.addEventListener('click', () => {
         return;
     }
 
-    /* Detect ORB Features on Target Image B
-    -------------------------------------------------------------------------
-    - Crop the target image according to the crop box and run ORB detection on 
-    the cropped region. 
-    - Offset the detected keypoints back to full image coordinates for matching.
-    -------------------------------------------------------------------------*/
+    let cropAreaBMat = null; // cropped Image B (released after detection)
+    let transformationMatrix = null; // A -> B matrix (released after the transform)
+    try {
+        /* Detect ORB Features on Target Image B
+        -------------------------------------------------------------------------
+        - Crop the target image according to the crop box and run ORB detection on 
+        the cropped region. 
+        - Offset the detected keypoints back to full image coordinates for matching.
+        -------------------------------------------------------------------------*/
 
-    // Crop image B and convert to Mat for detection
-    const cropAreaB    = cropBoxB.cropImage();
-    const cropAreaBMat = matFromImageEl(cropAreaB); 
+        // Crop image B and convert to Mat for detection
+        const cropAreaB    = cropBoxB.cropImage();
+        cropAreaBMat = matFromImageEl(cropAreaB); 
     
-    const cropRectB  = cropBoxB.getCropRect(); // get crop rectangle
-    // Run ORB detection on cropped Image B
-    const detectResultB = orbModule.detectORB(cropAreaBMat, orbDetectionParameters, cropRectB.x, cropRectB.y);
+        const cropRectB  = cropBoxB.getCropRect(); // get crop rectangle
     
-    /* Match Features
-    -------------------------------------------------------------------------
-    Use the ORBModule to match features between Image A and Image B using
-    the specified matching options.
-    -------------------------------------------------------------------------*/
+        // Image B must use the same detector as Image A (which may be loaded from JSON)
+        const detectParamsB = orbDetectionParameters.detector === detectResultA.detector
+            ? orbDetectionParameters
+            : readDetectorParams(detectResultA.detector);
     
-    status3El.innerHTML = 'Matching background features...';
-    // Set matching options    
-    const matchOptions = {
-        useKnn: true,
-        ratio: Number(ratio.value) || 0.75,
-        ransacThresh: Number(ransac.value) || 3.0
-    };
+        // Run feature detection on cropped Image B
+        const detectResultB = orbModule.detectFeatures(cropAreaBMat, detectParamsB, cropRectB.x, cropRectB.y);
+        cropAreaBMat.delete();
+        cropAreaBMat = null;
 
-    // Run feature matching
-    const matchResult = orbModule.matchFeatures(
-        detectResultA, 
-        detectResultB, 
-        matchOptions
-    ); 
+        // Image A features from a backend this OpenCV.js build lacks cannot be matched
+        if (detectResultB.detector !== detectResultA.detector) {
+            alert(`Image A features were detected with ${detectResultA.detector}, which is not ` +
+                'available in this OpenCV.js build. Detect Image A again with another detector.');
+            return;
+        }
     
+        /* Match Features
+        -------------------------------------------------------------------------
+        Use the ORBModule to match features between Image A and Image B using
+        the specified matching options.
+        -------------------------------------------------------------------------*/
     
-    /* Draw Matches on Canvas
-    -------------------------------------------------------------------------
-    Visualize the matched features between Image A <--> Image B on a combined
-    canvas.
-    -------------------------------------------------------------------------*/
+        status3El.innerHTML = 'Matching background features...';
+        // Set matching options    
+        const matchOptions = {
+            useKnn: true,
+            ratio: Number(ratio.value) || 0.75,
+            ransacThresh: Number(ransac.value) || 3.0
+        };
+
+        // Run feature matching
+        const matchResult = orbModule.matchFeatures(
+            detectResultA, 
+            detectResultB, 
+            matchOptions
+        ); 
     
-    // Draw matches
-    const drawnMatches = orbModule.drawMatches(
-        imgA, imgB, 
-        detectResultA, detectResultB, 
-        matchResult 
-    );
     
-    // Display matches on canvas
-    imshowCompat(canvasMatches, drawnMatches); 
+        /* Draw Matches on Canvas
+        -------------------------------------------------------------------------
+        Visualize the matched features between Image A <--> Image B on a combined
+        canvas.
+        -------------------------------------------------------------------------*/
+    
+        // Draw matches
+        const drawnMatches = orbModule.drawMatches(
+            imgA, imgB, 
+            detectResultA, detectResultB, 
+            matchResult 
+        );
+    
+        // Display matches on canvas
+        imshowCompat(canvasMatches, drawnMatches); 
  
-    // Hide crop box and show matches canvas
-    cropBoxB.cropBoxEl.style.display = 'none'; 
-    canvasMatches.hidden = false; 
-
-    // Display match statistics
-    statsMatch.textContent =
-        `matches: ${matchResult.matches.length}\n` +
-        `inliers: ${matchResult.numInliers ?? 0}\n`;
-
-    /* Transform Pose Landmarks from Image A to Image B
-    -------------------------------------------------------------------------
-    Use the computed transformation matrix to transform pose landmarks from
-    image A --> image B.
-    -------------------------------------------------------------------------*/
+        // Hide crop box and show matches canvas
+        cropBoxB.cropBoxEl.style.display = 'none'; 
+        canvasMatches.hidden = false; 
+
+        // Display match statistics
+        statsMatch.textContent =
+            `matches: ${matchResult.matches.length}\n` +
+            `inliers: ${matchResult.numInliers ?? 0}\n`;
+
+        /* Transform Pose Landmarks from Image A to Image B
+        -------------------------------------------------------------------------
+        Use the computed transformation matrix to transform pose landmarks from
+        image A --> image B.
+        -------------------------------------------------------------------------*/
     
-    status3El.innerHTML = 'Transforming pose landmarks...';
+        status3El.innerHTML = 'Transforming pose landmarks...';
     
-    // Create PoseTransform instance
-    const poseTransformer = new PoseTransform(window.cv);
+        // Create PoseTransform instance
+        const poseTransformer = new PoseTransform(window.cv);
     
-    // Compute transformation matrix from matches
-    const transformationMatrix = poseTransformer.computeTransform(
-        matchResult.matches,
-        detectResultA.keypoints,
-        detectResultB.keypoints, 
-        'homography'
-    );
-
-    // Get previously detected pose landmarks
-    const poseLandmarksAllFrames = getShared('poseA');
-
-    // Transform landmarks to image B coordinate space using the matrix
-    const transformedPoses = poseTransformer.transformLandmarks(
-        poseLandmarksAllFrames,
-        transformationMatrix,
-        'homography'
-    );
-
-    // Draw transformed landmarks on image B
-    const drawnImages = drawTransformedPoses(transformedPoses, imgB);
-
-    // Display transformed landmark images with navigation
-    displayTransformedLandmarks(drawnImages);
-
-    imgB.style.display = 'none'; // hide original imageB
-    cropBoxB.cropBoxEl.hidden = true; // hide crop box B
-
-    status3El.innerHTML = 
-        `Matched ${matchResult.matches.length} features. <br>
-        Transformed landmarks drawn on Image B below.`;
+        // Compute transformation matrix from matches
+        transformationMatrix = poseTransformer.computeTransform(
+            matchResult.matches,
+            detectResultA.keypoints,
+            detectResultB.keypoints, 
+            'homography'
+        );
+
+        // Fewer than 4 good matches give no matrix
+        if (!transformationMatrix || transformationMatrix.empty()) {
+            status3El.innerHTML = 
+                `Not enough good matches (${matchResult.numInliers ?? 0} inliers) to map Image A 
+                to Image B. Adjust the crop boxes or detector settings and match again.`;
+            return;
+        }
+
+        // Keep A -> B matrix for export
+        homographyAB = Array.from(transformationMatrix.data64F);
+
+        // Get previously detected pose landmarks
+        const poseLandmarksAllFrames = getShared('poseA');
+
+        const poseTimes = getShared('poseTimes') || [];
+
+        let transformAll; // landmarks per frame -> Image B landmarks per frame (aligned)
+        let frameMatrices; // frame -> Image B matrix applied per frame (row-major 3x3)
+        let registration = null; // per-frame registration results (perFrame mode)
+        let appliedMotion = null; // camera motion composed into frameMatrices ('first'/'flow')
+
+        // Camera motion (frame -> Image A frame) tracked during pose detection
+        const refIdx = getShared('referenceIndex') ?? 0;
+        const cameraMotion = motionToReference(getShared('poseFlow'), refIdx);
+
+        if (registrationMode.value === 'perFrame') {
+        
+            /* Register Every Frame to Image B
+            ---------------------------------------------------------------------
+            Match each frame (or keyframe) against Image B and transform its 
+            landmarks with its own matrix. Weak matches fall back to the last good
+            matrix and are flagged.
+            ---------------------------------------------------------------------*/
+            registration = await registerFrames({
+                orbModule,
+                frameStore: getShared('frameStore'),
+                landmarks: poseLandmarksAllFrames,
+                targetResult: detectResultB,
+                detectParams: detectParamsB,
+                matchOptions,
+                keyframeStep: Math.max(1, parseInt(keyframeStep.value, 10) || 1),
+                minInliers: Number(minInliers.value) || 15,
+                maskPadding: maskClimber.checked ? Number(maskPadding.value) || 0 : null,
+                fallbackHomography: matchResult.homography,
+                onProgress: (i, total) => {
+                    status3El.innerHTML = `Registering frame ${i + 1} / ${total}...`;
+                }
+            });
+
+            // Weak frames go through the camera motion to Image A where it was tracked
+            frameMatrices = registration.map((r, i) => r.weak && cameraMotion?.[i] && homographyAB
+                ? multiply3x3(homographyAB, cameraMotion[i])
+                : r.homography);
+            transformAll = (landmarks) => 
+                poseTransformer.transformLandmarksPerFrame(landmarks, frameMatrices);
+        
+            const weakFrames = registration
+                .map((r, i) => r.weak ? i + 1 : null)
+                .filter(i => i !== null);
+            statsMatch.textContent +=
+                `weak frames: ${weakFrames.length ? weakFrames.join(', ') : 'none'}\n`;
+    
+        } else {
+            // 'first' assumes a static camera, but when a later frame is Image A the
+            // landmarks are still re-expressed through the tracked motion
+            const useMotion = registrationMode.value === 'flow' || refIdx !== 0;
+            const frameMotion = useMotion ? cameraMotion : null;
+            appliedMotion = frameMotion;
+            if (useMotion && !frameMotion?.some(Boolean)) {
+                if (registrationMode.value === 'flow') {
+                    console.warn('No camera motion tracked. Enable "Track camera" before pose detection.');
+                } else {
+                    statsMatch.textContent += 
+                        `camera assumed static (Image A is frame ${refIdx + 1}, no camera motion tracked)\n`;
+                }
+            }
+
+            // Transform landmarks to image B coordinate space using the matrix
+            frameMatrices = poseLandmarksAllFrames.map((_, i) => frameMotion?.[i] && homographyAB
+                ? multiply3x3(homographyAB, frameMotion[i])
+                : homographyAB);
+            transformAll = (landmarks) => poseTransformer.transformLandmarks(
+                landmarks,
+                transformationMatrix,
+                'homography',
+                frameMotion
+            );
+        }
+
+        // Keep every frame (aligned with pose frames and times) with its flags and
+        // matrix. Where camera motion is applied, frames where it was lost are weak too
+        // (the tracker then keeps the previous frame's motion).
+        const flowLost   = getShared('poseFlowLost') || [];
+        const motionLost = (i) => Boolean(appliedMotion?.some(Boolean) && (!appliedMotion[i] || flowLost[i]));
+        const lostFrames = poseLandmarksAllFrames
+            .map((_, i) => motionLost(i) ? i + 1 : null)
+            .filter(i => i !== null);
+        if (appliedMotion?.some(Boolean)) {
+            statsMatch.textContent +=
+                `camera lost frames: ${lostFrames.length ? lostFrames.join(', ') : 'none'}\n`;
+        }
+        transformedFrames = transformAll(poseLandmarksAllFrames)
+            .map((landmarks, i) => ({ 
+                index: i, 
+                time: poseTimes[i], 
+                landmarks, 
+                weak: (registration?.[i].weak ?? false) || motionLost(i),
+                flowLost: motionLost(i),
+                homography: frameMatrices[i] ?? undefined
+            }));
+
+        /* Center of Mass
+        -------------------------------------------------------------------------
+        Estimate the COM per frame in the video frame and transform it to Image B
+        with the same matrices as the landmarks (as a one-point pose).
+        -------------------------------------------------------------------------*/
+        const comB = transformAll(poseLandmarksAllFrames.map(landmarks => {
+            const com = centerOfMass(landmarks);
+            return com ? [com] : [];
+        }));
+        transformedFrames.forEach((frame, i) => { frame.com = comB[i]?.[0] ?? null; });
+
+        // Matrix changes between samples beyond the tracked camera motion (not slips)
+        setRegistrationShifts(transformedFrames, cameraMotion);
+
+        /* Other Tracked Climbers
+        -------------------------------------------------------------------------
+        Transform the climbers not sent to the ORB stage with the same matrices 
+        and draw every climber in its own colour.
+        -------------------------------------------------------------------------*/
+        const tracks  = getShared('poseTracks') || [];
+        const trackId = getShared('poseTrackId');
+        climberColor  = tracks.length > 1 ? tracks.find(t => t.id === trackId)?.color ?? null : null;
+        overlayPlayer.color = climberColor;
+        overlayPlayer.drawOptions = drawOptions();
+        const others = tracks
+            .filter(t => t.id !== trackId)
+            .map(t => ({ color: t.color, landmarks: transformAll(t.landmarks) }));
+        for (const frame of transformedFrames) {
+            frame.others = others
+                .map(o => ({ color: o.color, landmarks: o.landmarks[frame.index] }))
+                .filter(o => o.landmarks?.length);
+        }
+
+        // Every pose is transformed: release the A -> B matrix
+        transformationMatrix.delete();
+        transformationMatrix = null;
+
+        // Display transformed landmarks on image B with navigation
+        displayTransformedLandmarks();
+
+        // Detect slips/falls before the player and summary draw them
+        updateSlips();
+
+        // Load frames into the animated player
+        await updatePlayerFrames();
+
+        // Detect contacts/holds and draw the route summary
+        updateContacts();
+
+        imgB.style.display = 'none'; // hide original imageB
+        cropBoxB.cropBoxEl.hidden = true; // hide crop box B
+
+        status3El.innerHTML = 
+            `Matched ${matchResult.matches.length} features. <br>
+            Transformed landmarks drawn on Image B below.`;
     
+    } catch (e) {
+        console.error(e);
+        status3El.innerHTML = `Matching failed: ${e.message ?? e}`;
+        alert(`Matching failed: ${e.message ?? e}`);
+    } finally {
+        cropAreaBMat?.delete();
+        transformationMatrix?.delete();
+    }
 });
@@ -28,6 +28,21 @@ export function loadImg(file, imgEl) {
     });
 }
 
+/* LOAD IMAGE FROM URL
+----------------------------------------------------------------------------
+Load an image (e.g. a frame data URL) into a new HTMLImageElement for 
+processing without displaying it.
+----------------------------------------------------------------------------*/
+
+export function imageFromUrl(url) {
+    return new Promise((res, rej) => {
+        const img   = new Image();
+        img.onload  = () => res(img);
+        img.onerror = rej;
+        img.src     = url;
+    });
+}
+
 /* CREATE MAT FROM IMAGE ELEMENT
 -----------------------------------------------------------------------------
 Convert an HTMLImageElement to cv.Mat (CV_8UC4) for OpenCV processing.
@@ -101,4 +116,87 @@ export function imshowCompat(canvas, mat) {
     // Draw ImageData to canvas
     canvas.getContext('2d').putImageData(imageData, 0, 0); 
     rgba.delete(); // clean up temporary Mat
-}
\ No newline at end of file
+}
+
+/* CREATE CLIMBER MASK FROM POSE LANDMARKS
+-----------------------------------------------------------------------------
+Build a CV_8U detection mask that excludes the climber. The convex hull of
+the pose landmarks (pixel coordinates) is filled with 0 and dilated by 
+padding pixels, everything else is 255. If cropRect is given, the mask is 
+cut to that region so it matches a cropped detection image. 
+Caller must delete the returned Mat.
+----------------------------------------------------------------------------*/
+
+export function climberMaskFromLandmarks(landmarks, width, height, padding = 40, cropRect = null) {
+    const cv   = window.cv;
+    const mask = new cv.Mat(height, width, cv.CV_8U, new cv.Scalar(255));
+
+    // Keep landmarks that fall inside the image
+    const pts = (landmarks || []).filter(lm => 
+        Number.isFinite(lm.x) && Number.isFinite(lm.y) &&
+        lm.x >= 0 && lm.y >= 0 && lm.x < width && lm.y < height
+    );
+
+    if (pts.length >= 3) {
+        // Convex hull around the landmarks
+        const ptsMat = cv.matFromArray(
+            pts.length, 1, cv.CV_32SC2, 
+            pts.flatMap(lm => [Math.round(lm.x), Math.round(lm.y)])
+        );
+        const hull = new cv.Mat();
+        cv.convexHull(ptsMat, hull, false, true);
+        
+        // Fill hull with 0 (excluded from detection)
+        const hulls = new cv.MatVector();
+        hulls.push_back(hull);
+        cv.fillPoly(mask, hulls, new cv.Scalar(0));
+
+        // Grow the excluded region by padding (erode the allowed region)
+        if (padding > 0) {
+            const size   = 2 * Math.round(padding) + 1;
+            const kernel = cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(size, size));
+            cv.erode(mask, mask, kernel);
+            kernel.delete();
+        }
+
+        ptsMat.delete();
+        hull.delete();
+        hulls.delete();
+    }
+
+    if (!cropRect) return mask;
+
+    // Cut mask to crop region (crop size is kept even if it overhangs the image)
+    const cropped = new cv.Mat(cropRect.height, cropRect.width, cv.CV_8U, new cv.Scalar(255));
+    const x0 = Math.max(0, cropRect.x);
+    const y0 = Math.max(0, cropRect.y);
+    const x1 = Math.min(width,  cropRect.x + cropRect.width);
+    const y1 = Math.min(height, cropRect.y + cropRect.height);
+    if (x1 > x0 && y1 > y0) {
+        const src = mask.roi(new cv.Rect(x0, y0, x1 - x0, y1 - y0));
+        const dst = cropped.roi(new cv.Rect(x0 - cropRect.x, y0 - cropRect.y, x1 - x0, y1 - y0));
+        src.copyTo(dst);
+        src.delete();
+        dst.delete();
+    }
+    mask.delete();
+    return cropped;
+}
+
+/* CREATE CLIMBER MASK FROM SEVERAL POSES
+-----------------------------------------------------------------------------
+Like climberMaskFromLandmarks, but excludes every pose (one hull each, so 
+the background between climbers stays usable). poses is an array of 
+landmark arrays in pixel coordinates. Caller must delete the returned Mat.
+----------------------------------------------------------------------------*/
+
+export function climberMaskFromPoses(poses, width, height, padding = 40) {
+    const cv   = window.cv;
+    const mask = new cv.Mat(height, width, cv.CV_8U, new cv.Scalar(255));
+    for (const landmarks of poses || []) {
+        const poseMask = climberMaskFromLandmarks(landmarks, width, height, padding);
+        cv.bitwise_and(mask, poseMask, mask);
+        poseMask.delete();
+    }
+    return mask;
+}
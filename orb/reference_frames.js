@@ -0,0 +1,103 @@
+// reference_frames.js
+// Score video frames as candidates for the ORB reference image (Image A)
+
+import { matFromImageEl, climberMaskFromLandmarks } from './orb_utils.js';
+
+/* SCORE REFERENCE FRAME CANDIDATES
+_______________________________________________________________________________
+Pick up to count frames spread evenly over the stored frames and score them:
+- sharpness: variance of the Laplacian of the grayscale frame (higher = sharper)
+- visibility: fraction of the frame not covered by the climber mask (0..1).
+  Frames without a pose cannot be masked (the climber may still be in view)
+  and get noPoseVisibility instead.
+- score: sharpness relative to the sharpest candidate times visibility
+
+Returns candidates sorted by score (best first):
+{ index, time, sharpness, visibility, pose, score, thumbUrl }
+_______________________________________________________________________________*/
+
+export async function scoreReferenceFrames({
+    frameStore, // FrameStore with raw frames
+    landmarks, // pose landmarks per frame (pixel coords)
+    times = [], // frame timestamps (seconds)
+    count = 12, // number of candidates
+    maskPadding = 40, // padding (px) around the climber hull
+    noPoseVisibility = 0.5, // visibility assumed for frames without a pose
+    scoreWidth = 480, // frames are downscaled to this width for scoring
+    thumbWidth = 160 // thumbnail width (px)
+}) {
+    const cv = window.cv;
+    const total = landmarks.length;
+    const step  = Math.max(1, Math.ceil(total / count)); // at most count candidates
+
+    const candidates = [];
+    for (let i = 0; i < total; i += step) {
+        await frameStore.use(i, (img) => {
+            if (!img) return;
+            const pose = landmarks[i]?.length > 0;
+            const mat  = matFromImageEl(img);
+            const mask = pose ? climberMaskFromLandmarks(landmarks[i], mat.cols, mat.rows, maskPadding) : null;
+            try {
+                candidates.push({
+                    index: i,
+                    time: times[i] ?? null,
+                    sharpness: laplacianVariance(cv, mat, scoreWidth),
+                    visibility: pose ? cv.countNonZero(mask) / (mat.cols * mat.rows) : noPoseVisibility,
+                    pose,
+                    thumbUrl: thumbnail(img, thumbWidth)
+                });
+            } finally {
+                mat.delete();
+                mask?.delete();
+            }
+        });
+    }
+
+    // Combine scores (sharpness normalized by the sharpest candidate)
+    const maxSharpness = Math.max(...candidates.map(c => c.sharpness), 1e-9);
+    for (const c of candidates) {
+        c.score = (c.sharpness / maxSharpness) * c.visibility;
+    }
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/* LAPLACIAN VARIANCE
+-------------------------------------------------------------------------------
+Focus measure: variance of the Laplacian of the downscaled grayscale image
+-------------------------------------------------------------------------------*/
+function laplacianVariance(cv, rgba, width) {
+    const gray  = new cv.Mat();
+    const small = new cv.Mat();
+    const lap   = new cv.Mat();
+    const mean  = new cv.Mat();
+    const std   = new cv.Mat();
+    try {
+        cv.cvtColor(rgba, gray, cv.COLOR_RGBA2GRAY);
+        const scale = Math.min(1, width / gray.cols);
+        cv.resize(gray, small, new cv.Size(
+            Math.round(gray.cols * scale),
+            Math.round(gray.rows * scale)
+        ), 0, 0, cv.INTER_AREA);
+        cv.Laplacian(small, lap, cv.CV_64F);
+        cv.meanStdDev(lap, mean, std);
+        return std.data64F[0] ** 2;
+    } finally {
+        gray.delete();
+        small.delete();
+        lap.delete();
+        mean.delete();
+        std.delete();
+    }
+}
+
+/* THUMBNAIL
+-------------------------------------------------------------------------------
+Small JPEG data URL of a frame for the picker list
+-------------------------------------------------------------------------------*/
+function thumbnail(img, width) {
+    const canvas = document.createElement('canvas');
+    canvas.width  = width;
+    canvas.height = Math.round(img.height * width / img.width);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.7);
+}
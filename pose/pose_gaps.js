@@ -0,0 +1,50 @@
+// pose_gaps.js
+// Fill short detection gaps by interpolating landmarks between frames
+
+/* FILL POSE GAPS
+______________________________________________________________________________
+Frames without landmarks between two detected frames at most maxGap seconds
+apart get landmarks interpolated linearly in time (x, y, z). Visibility is the
+lower of the two neighbours, so filled points count as less certain. Longer
+gaps stay empty. Frames keep their indices and timestamps.
+
+Reads and rewrites frame.rawLandmarks and sets frame.gapFilled.
+Returns the number of filled frames.
+______________________________________________________________________________*/
+
+export function fillPoseGaps(poseResults, opts = {}) {
+    const { maxGap = 0.5 } = opts;
+    let filled = 0;
+    let prev = -1; // index of the last frame with landmarks
+
+    poseResults.forEach(frame => { frame.gapFilled = false; });
+
+    poseResults.forEach((frame, i) => {
+        if (!frame.rawLandmarks?.length) return;
+
+        // Gap between prev and i
+        if (prev >= 0 && i - prev > 1) {
+            const a = poseResults[prev];
+            const dt = frame.time - a.time;
+            if (dt > 0 && dt <= maxGap && a.rawLandmarks.length === frame.rawLandmarks.length) {
+                for (let k = prev + 1; k < i; k++) {
+                    const s = (poseResults[k].time - a.time) / dt;
+                    poseResults[k].rawLandmarks = a.rawLandmarks.map((p, j) => {
+                        const q = frame.rawLandmarks[j];
+                        return {
+                            x: p.x + s * (q.x - p.x),
+                            y: p.y + s * (q.y - p.y),
+                            z: (p.z ?? 0) + s * ((q.z ?? 0) - (p.z ?? 0)),
+                            visibility: Math.min(p.visibility ?? 1, q.visibility ?? 1)
+                        };
+                    });
+                    poseResults[k].gapFilled = true;
+                    filled++;
+                }
+            }
+        }
+        prev = i;
+    });
+
+    return filled;
+}
@@ -4,7 +4,19 @@ import { runPoseDetectionOnFrames } from './pose_module.js';
 import { loadOpenCV } from '../load_opencv.js';
 import { setShared } from '../shared_state.js';
 import { CropBox } from '../CropBox.js';
-import { showOrbSection } from '../orb/orb_main.js';
+import { FrameStore } from '../FrameStore.js';
+import { showOrbSection, showTransformedFrame } from '../orb/orb_main.js';
+import { scoreReferenceFrames } from '../orb/reference_frames.js';
+import { smoothPoseResults } from './pose_smoothing.js';
+import { trackPoseIdentities, trackLandmarks } from './pose_tracking.js';
+import { correctLeftRightSwaps, clearLeftRightSwaps } from './pose_swap.js';
+import { fillPoseGaps } from './pose_gaps.js';
+import { drawLandmarksOnImage } from './pose_utils.js';
+import { downloadJSON, downloadCSV } from '../export_utils.js';
+import {
+  computeMetrics, metricValues, metricsToCSV, drawMetricChart, chartFrameAt, METRIC_CHARTS
+} from '../analysis/metrics.js';
+import { detectActivity } from '../analysis/rest_periods.js';
 
 /* DOM ELEMENTS 
 ___________________________________________________________________________________*/
@@ -18,18 +30,63 @@ const canvasEl       = el('overlay'); // Canvas element for overlay
 const poseDetectBtn  = el('poseDetectBtn'); // Button to start pose detection
 const statusEl       = el('status'); // Status display element
 const intervalInput  = el('intervalInput'); // Input for frame interval
+const trackCamera    = el('trackCamera'); // Checkbox to track camera motion
+const everyFrame     = el('everyFrame'); // Checkbox to detect on every video frame
+const numPosesInput  = el('numPosesInput'); // Max climbers detected per frame
+const fullFrame      = el('fullFrame'); // Checkbox to detect without crop
 const frameNav       = el('frameNav'); // Frame navigation element
 const prevFrameBtn   = el('prevFrameBtn'); // Previous frame button
 const nextFrameBtn   = el('nextFrameBtn'); // Next frame button
 const cropBoxEl      = el('cropBoxPose'); // Crop box element
 const showImgA       = el('showImgA'); // Show Image A section
+const downloadPoseBtn = el('downloadPoseBtn'); // Button to download pose JSON
+const downloadMetricsBtn = el('downloadMetricsBtn'); // Button to download metrics CSV
+const metricsPanel    = el('metricsPanel'); // Metric time-series charts
+const smoothToggle    = el('smoothToggle'); // Enable temporal smoothing
+const smoothMinCutoff = el('smoothMinCutoff'); // One Euro min cutoff (Hz)
+const smoothBeta      = el('smoothBeta'); // One Euro speed coefficient
+const fixSwapsToggle  = el('fixSwapsToggle'); // Correct left/right landmark swaps
+const swapLog         = el('swapLog'); // List of corrected frames
+const gapMaxInput     = el('gapMaxInput'); // Max gap (s) filled by interpolation
+const visThreshold    = el('visThreshold'); // Min visibility of confident landmarks
+const hideLowVis      = el('hideLowVis'); // Hide low-visibility landmarks
+const poseProgressRow  = el('poseProgressRow'); // Progress bar + cancel container
+const poseProgress     = el('poseProgress'); // Detection progress bar
+const poseProgressText = el('poseProgressText'); // Frame / time / ETA text
+const cancelPoseBtn    = el('cancelPoseBtn'); // Button to cancel pose detection
+const trimControls     = el('trimControls'); // Trim timeline container
+const trimStart        = el('trimStart'); // Range start handle (seconds)
+const trimEnd          = el('trimEnd'); // Range end handle (seconds)
+const trimLabel        = el('trimLabel'); // Selected range text
+const trimStartBtn     = el('trimStartBtn'); // Set range start to current video time
+const trimEndBtn       = el('trimEndBtn'); // Set range end to current video time
+const trimResetBtn     = el('trimResetBtn'); // Reset range to the whole video
+const useOrbFrameBtn   = el('useOrbFrameBtn'); // Use shown frame as Image A for ORB
+const refPicker        = el('refPicker'); // ORB reference frame picker
+const refPickerStatus  = el('refPickerStatus'); // Picker status text
+const findRefFramesBtn = el('findRefFramesBtn'); // Button to score candidate frames
+const refCandidates    = el('refCandidates'); // Candidate list container
+const climberRow       = el('climberRow'); // Climber selection container
+const climberSelect    = el('climberSelect'); // Tracked climber for the ORB stage
+const restSpeedInput   = el('restSpeedInput'); // Whole-body speed below which the climber is still
+const minRestInput     = el('minRestInput'); // Min stationary time (s) counted as a rest
+const activityTimeline = el('activityTimeline'); // Move/pause/rest segments bar
+const activityStats    = el('activityStats'); // Climb/rest/moving time summary
 
 /* GLOBAL VARIABLES
 ___________________________________________________________________________________*/
 
 const poseResults = []; // Array to store pose detection results
+const frameStore  = new FrameStore(); // Raw frames (compressed) indexed like poseResults
 const cropBox     = new CropBox(videoEl, cropBoxEl); // CropBox instance to select area 
 let currentFrameIdx; // Current frame index for navigation
+let showFrameRequest = 0; // Latest showFrame call (older calls do not draw)
+let detectAbort = null; // AbortController of the running detection
+let poseTracks  = []; // Tracked climbers [{ id, color, frameCount }], longest first
+let selectedTrackId = null; // Track id of the climber sent to the ORB stage
+let poseMetrics = []; // Per-frame metrics (aligned with poseResults)
+let metricCanvases = []; // One canvas per METRIC_CHARTS entry
+let activity = null; // Moves, pauses and rests { segments, summary }
 
 /* HELPER FUNCTIONS
 ___________________________________________________________________________________*/
@@ -37,30 +94,261 @@ ________________________________________________________________________________
 /* DISPLAY FRAME WITH LANDMARKS 
 -----------------------------------------------------------------------------------
 Display a specific frame with pose landmarks and crop box overlays. Used in 
-frame navigation controls.
+frame navigation controls. The raw frame is loaded from the frame store and 
+landmarks are drawn on demand, so smoothed or raw landmarks can be shown.
 -----------------------------------------------------------------------------------*/
-function showFrame(idx) {
+async function showFrame(idx) {
   if (!poseResults.length) return; 
   idx = Math.max(0, Math.min(idx, poseResults.length - 1));
+  const request = ++showFrameRequest;
+  drawMetricCharts(idx);
+  highlightActivity(idx);
   
-  // Get frame data and create image element
+  // Get frame data and decoded frame image
   const frameData = poseResults[idx]; 
-  const img = new Image(); 
-  img.src = frameData.frameUrl; 
-  
-  // Load frame image and display
-  img.onload = () => {       
+  await frameStore.use(idx, (img) => {
+    // Skip if missing or if another frame was requested while decoding
+    if (!img || request !== showFrameRequest) return;
     
-    // Set canvas size/dimensions to match displayed video
-    const displayedVideo = videoEl.getBoundingClientRect(); 
-    canvasEl.width = displayedVideo.width; 
-    canvasEl.height = displayedVideo.height; 
+    // Draw the frame with its landmarks and crop box
+    if (frameData.landmarks?.length) {
+      drawLandmarksOnImage(canvasEl, img, frameData.landmarks, frameData.cropRect, {
+        minVisibility: Number(visThreshold.value) || 0,
+        hideLowVisibility: hideLowVis.checked
+      });
+      return;
+    }
+
+    // No landmarks: draw the frame only
+    canvasEl.width = img.width; 
+    canvasEl.height = img.height; 
     const ctx = canvasEl.getContext('2d');    
-    
-    // Clear and draw the frame image
     ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
     ctx.drawImage(img, 0, 0, canvasEl.width, canvasEl.height);
-  };
+  });
+}
+
+/* SHOW DETECTION PROGRESS
+-----------------------------------------------------------------------------------
+Update progress bar and text from a progress event of the frame extractor
+-----------------------------------------------------------------------------------*/
+function showDetectProgress({ frameIndex, time, start, end, eta }) {
+  poseProgress.value = end > start ? Math.min(1, (time - start) / (end - start)) : 0;
+  const etaText = eta !== null ? ` - about ${Math.ceil(eta)} s left` : '';
+  poseProgressText.textContent = 
+    `Frame ${frameIndex + 1} at ${time.toFixed(2)} s / ${end.toFixed(2)} s${etaText}`;
+}
+
+/* SET TRIM RANGE
+-----------------------------------------------------------------------------------
+Set the start/end handles (seconds), clamped to the video and keeping start before 
+end, and update the range label. Only frames inside the range are processed. The 
+sliders use step="any" so a full range ends exactly at the video duration.
+-----------------------------------------------------------------------------------*/
+function setTrimRange(start, end) {
+  const duration = videoEl.duration || 0;
+  start = Math.max(0, Math.min(start, duration));
+  end   = Math.max(start, Math.min(end, duration));
+  trimStart.value = start;
+  trimEnd.value   = end;
+  trimLabel.textContent = 
+    `Range: ${start.toFixed(2)} s - ${end.toFixed(2)} s (${(end - start).toFixed(2)} s)`;
+}
+
+/* USE FRAME AS ORB REFERENCE
+-----------------------------------------------------------------------------------
+Store frame idx as Image A for ORB. Landmarks stay in frame pixel coordinates; the 
+ORB stage re-expresses them (through the tracked camera motion) and the climber mask 
+relative to this frame through the shared referenceIndex.
+-----------------------------------------------------------------------------------*/
+async function useOrbFrame(idx) {
+  // Store the frame as data URL (same format as the first frame)
+  const frameUrl = await frameStore.use(idx, (img) => {
+    if (!img) return null;
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width  = img.width;
+    frameCanvas.height = img.height;
+    frameCanvas.getContext('2d').drawImage(img, 0, 0);
+    return frameCanvas.toDataURL();
+  });
+  if (!frameUrl) return;
+  setShared('firstFrameImage', frameUrl);
+  setShared('referenceIndex', idx);
+
+  // Highlight the chosen candidate
+  for (const item of refCandidates.children) {
+    item.classList.toggle('selected', Number(item.dataset.index) === idx);
+  }
+
+  statusEl.textContent = `Frame ${idx + 1} is used as ORB frame (Image A).`;
+  await showOrbSection(); // Reload Image A
+}
+
+/* SELECT CLIMBER
+-----------------------------------------------------------------------------------
+Use the landmarks of one tracked climber as raw landmarks of every frame, correct 
+left/right swaps, fill short gaps, smooth them, and share all tracks so the ORB 
+stage can colour-code the other climbers.
+-----------------------------------------------------------------------------------*/
+function selectClimber(trackId) {
+  selectedTrackId = trackId;
+  clearLeftRightSwaps(poseResults); // start from the detector output
+  if (trackId !== null) {
+    const landmarks = trackLandmarks(poseResults, trackId);
+    poseResults.forEach((frame, i) => { frame.rawLandmarks = landmarks[i]; });
+  }
+  showSwapLog(fixSwapsToggle.checked ? correctLeftRightSwaps(poseResults) : []);
+  fillPoseGaps(poseResults, { maxGap: Math.max(0, Number(gapMaxInput.value) || 0) });
+  applySmoothing();
+
+  setShared('poseTrackId', trackId);
+  setShared('poseTracks', poseTracks.map(t => ({
+    id: t.id,
+    color: t.color,
+    landmarks: trackLandmarks(poseResults, t.id)
+  })));
+}
+
+/* SHOW SWAP LOG
+-----------------------------------------------------------------------------------
+List frames where left/right landmarks were swapped back. Clicking a frame shows 
+it for review.
+-----------------------------------------------------------------------------------*/
+function showSwapLog(log) {
+  swapLog.hidden = log.length === 0;
+  swapLog.innerHTML = `L/R swaps corrected in ${log.length} frames: `;
+  for (const entry of log) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.textContent = `${entry.index + 1} (${entry.groups.join(', ')})`;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      currentFrameIdx = entry.index;
+      showFrame(entry.index);
+    });
+    swapLog.append(link, ' ');
+  }
+}
+
+/* APPLY TEMPORAL SMOOTHING
+-----------------------------------------------------------------------------------
+Smooth landmarks across frames (One Euro filter on frame timestamps) and use the 
+smoothed or raw landmarks downstream depending on the toggle. Raw landmarks are 
+always kept in frame.rawLandmarks.
+-----------------------------------------------------------------------------------*/
+function applySmoothing() {
+  if (!poseResults.length) return;
+
+  smoothPoseResults(poseResults, {
+    minCutoff: Number(smoothMinCutoff.value) || 1.0,
+    beta: Number(smoothBeta.value) || 0,
+  });
+  for (const frame of poseResults) {
+    frame.landmarks = smoothToggle.checked ? frame.smoothedLandmarks : frame.rawLandmarks;
+  }
+
+  // Share active landmarks with ORB module
+  setShared('poseA', poseResults.map(frame => frame.landmarks));
+  updateMetrics();
+  updateActivity();
+  if (currentFrameIdx !== undefined) showFrame(currentFrameIdx);
+}
+
+/* UPDATE METRICS
+-----------------------------------------------------------------------------------
+Compute per-frame metrics from the active landmarks, share them for the beta 
+export and redraw the charts
+-----------------------------------------------------------------------------------*/
+function updateMetrics() {
+  poseMetrics = computeMetrics(poseResults, { frameWidth: videoEl.videoWidth });
+  setShared('poseMetrics', poseMetrics);
+
+  // Create chart canvases once
+  if (!metricCanvases.length) {
+    metricCanvases = METRIC_CHARTS.map(() => {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'metric-chart';
+      canvas.width  = 240;
+      canvas.height = 100;
+      canvas.addEventListener('click', (e) => {
+        const rect = canvas.getBoundingClientRect();
+        const px = (e.clientX - rect.left) * canvas.width / rect.width;
+        const idx = chartFrameAt(canvas, poseMetrics, px);
+        if (idx === null) return;
+        currentFrameIdx = idx;
+        showFrame(idx);
+      });
+      metricsPanel.appendChild(canvas);
+      return canvas;
+    });
+  }
+  metricsPanel.hidden = poseMetrics.length === 0;
+  downloadMetricsBtn.disabled = poseMetrics.length === 0;
+  drawMetricCharts(currentFrameIdx ?? null);
+}
+
+/* DRAW METRIC CHARTS
+-----------------------------------------------------------------------------------
+Draw every metric chart with a cursor at frame idx
+-----------------------------------------------------------------------------------*/
+function drawMetricCharts(idx) {
+  METRIC_CHARTS.forEach((chart, k) => {
+    if (metricCanvases[k]) drawMetricChart(metricCanvases[k], poseMetrics, chart, idx);
+  });
+}
+
+/* UPDATE ACTIVITY
+-----------------------------------------------------------------------------------
+Split the climb into moves, pauses and rests, draw them as a timeline bar (click a 
+segment to show its first frame here and on Image B) and summarise the times
+-----------------------------------------------------------------------------------*/
+function updateActivity() {
+  activity = detectActivity(poseResults, {
+    restSpeed: Math.max(0, Number(restSpeedInput.value) || 0),
+    minRest: Math.max(0, Number(minRestInput.value) || 0),
+  });
+  const { segments, summary } = activity;
+
+  // Timeline bar: one element per segment, width proportional to its duration
+  activityTimeline.innerHTML = '';
+  for (const seg of segments) {
+    const div = document.createElement('div');
+    div.className = `activity-segment ${seg.type}`;
+    div.style.flexGrow = Math.max(seg.end - seg.start, 0.001);
+    const label = seg.type === 'move'
+      ? `Move ${seg.move} (dwell before: ${seg.dwell.toFixed(1)}s)`
+      : { pause: 'Pause', rest: 'Rest', none: 'No pose' }[seg.type];
+    div.title = `${label}: ${seg.start.toFixed(2)}s - ${seg.end.toFixed(2)}s`;
+    div.addEventListener('click', () => {
+      currentFrameIdx = seg.startIndex;
+      showFrame(seg.startIndex);
+      showTransformedFrame(seg.startIndex);
+    });
+    activityTimeline.appendChild(div);
+  }
+
+  activityStats.textContent =
+    `climb: ${summary.total.toFixed(1)}s | ` +
+    `moving: ${summary.moving.toFixed(1)}s (${summary.moves} moves, ` +
+    `mean dwell ${summary.meanDwell.toFixed(1)}s) | ` +
+    `resting: ${summary.resting.toFixed(1)}s (${summary.rests} rests) | ` +
+    `paused: ${summary.paused.toFixed(1)}s`;
+
+  activityTimeline.hidden = segments.length === 0;
+  activityStats.hidden = segments.length === 0;
+  highlightActivity(currentFrameIdx);
+}
+
+/* HIGHLIGHT ACTIVITY
+-----------------------------------------------------------------------------------
+Outline the timeline segment containing frame idx
+-----------------------------------------------------------------------------------*/
+function highlightActivity(idx) {
+  if (!activity) return;
+  activity.segments.forEach((seg, k) => {
+    const current = idx >= seg.startIndex && idx <= seg.endIndex;
+    activityTimeline.children[k]?.classList.toggle('current', current);
+  });
 }
 
 /* EVENT HANDLERS 
@@ -93,8 +381,14 @@ videoEl.addEventListener('loadeddata', () => {
   canvasEl.style.width = videoRect.width + 'px'; 
   canvasEl.style.height = videoRect.height + 'px';  
 
-  // Display crop box to select detection area
-  cropBoxEl.hidden = false; 
+  // Display crop box to select detection area (unless detecting on the full frame)
+  cropBoxEl.hidden = fullFrame.checked; 
+
+  // Trim range covers the whole video
+  trimStart.max = videoEl.duration;
+  trimEnd.max   = videoEl.duration;
+  setTrimRange(0, videoEl.duration);
+  trimControls.hidden = false;
 
   // Update status
   statusEl.innerHTML = 
@@ -116,6 +410,14 @@ window.addEventListener('resize', () => {
   cropBoxEl.style.height = videoRect.height + 'px';
 });
 
+/* FULL FRAME CHECKBOX
+-----------------------------------------------------------------------------------
+Show the crop box only when detection uses it
+-----------------------------------------------------------------------------------*/
+fullFrame.addEventListener('change', () => {
+  if (videoEl.readyState >= 1) cropBoxEl.hidden = fullFrame.checked;
+});
+
 /* VIDEO FILE INPUT CHANGE EVENT
 -----------------------------------------------------------------------------------
 Load selected video file into video element
@@ -144,28 +446,89 @@ poseDetectBtn.addEventListener('click', async function handlePoseDetect() {
   cropBoxEl.style.zIndex = -1; 
   
   videoEl.pause(); // Pause video playback
-  videoEl.currentTime = 0; // Seek to first frame
+  const range = { start: Number(trimStart.value), end: Number(trimEnd.value) };
+  videoEl.currentTime = range.start; // Seek to first frame of the range
 
   await new Promise(resolve => { videoEl.onseeked = resolve; });
 
   // Get crop rectangle in video pixel coordinates using CropBox class
-  const cropRect = cropBox.getCropRect();
-  cropRect.left = cropRect.x;
-  cropRect.top = cropRect.y;
+  // No crop ("Full frame" checked or empty box): detect on the full frame
+  let cropRect = fullFrame.checked ? null : cropBox.getCropRect();
+  if (cropRect && (cropRect.width <= 0 || cropRect.height <= 0)) cropRect = null;
+  if (cropRect) {
+    cropRect.left = cropRect.x;
+    cropRect.top = cropRect.y;
+  }
 
   /* RUN POSE DETECTION
   -----------------------------------------------------------------------------*/
-  const n = parseInt(intervalInput.value, 10) || 1;
+  // Sampling interval in seconds (fractional allowed, 0 = every frame)
+  const interval = parseFloat(intervalInput.value);
+  const n = everyFrame.checked ? 0 : Number.isFinite(interval) ? Math.max(0, interval) : 1;
   poseResults.length = 0;
   statusEl.textContent = "Detecting pose landmarks...";
   
-  await runPoseDetectionOnFrames(videoEl, canvasEl, poseResults, n, cropRect);
+  // Show progress bar and cancel button
+  detectAbort = new AbortController();
+  poseDetectBtn.disabled = true;
+  poseProgress.value = 0;
+  poseProgressText.textContent = '';
+  poseProgressRow.hidden = false;
+
+  let cancelled = false;
+  try {
+    // Camera motion tracking needs OpenCV during detection
+    if (trackCamera.checked) await loadOpenCV();
+
+    await runPoseDetectionOnFrames(videoEl, canvasEl, poseResults, n, cropRect, {
+      trackCameraMotion: trackCamera.checked,
+      frameStore,
+      numPoses: Math.max(1, parseInt(numPosesInput.value, 10) || 1),
+      range,
+      signal: detectAbort.signal,
+      onProgress: showDetectProgress
+    });
+  } catch (e) {
+    // Cancelled: keep the frames processed so far
+    if (e?.name === 'AbortError') {
+      cancelled = true;
+    } else {
+      console.error('Pose detection error', e);
+      statusEl.textContent = `Pose detection failed: ${e?.message ?? e}`;
+      cropBoxEl.style.zIndex = 1;
+      return;
+    }
+  } finally {
+    detectAbort = null;
+    poseDetectBtn.disabled = false;
+    poseProgressRow.hidden = true;
+  }
+
+  // Nothing detected before cancelling
+  if (cancelled && !poseResults.length) {
+    cropBoxEl.style.zIndex = 1;
+    statusEl.textContent = "Pose detection cancelled.";
+    return;
+  }
    
+  // Link poses into climbers and use the longest track (smooths landmarks and sets 
+  // active landmarks for display and ORB stage)
+  poseTracks = trackPoseIdentities(poseResults);
+  climberSelect.innerHTML = poseTracks
+    .map((t, k) => `<option value="${t.id}">Climber ${k + 1} (${t.frameCount} frames)</option>`)
+    .join('');
+  climberRow.hidden = poseTracks.length < 2;
+  selectClimber(poseTracks[0]?.id ?? null);
+  downloadPoseBtn.disabled = poseResults.length === 0;
+
   /* SETUP FRAME NAVIGATION
   -----------------------------------------------------------------------------*/
   frameNav.hidden = false;
   prevFrameBtn.disabled = poseResults.length === 0;
   nextFrameBtn.disabled = poseResults.length === 0;
+  useOrbFrameBtn.disabled = poseResults.length === 0;
+  refCandidates.innerHTML = '';
+  refPicker.hidden = poseResults.length === 0;
   currentFrameIdx = 0; // Ensure this is defined at the top
   frameNav.style.display = ''; // show frame navigation
   showFrame(currentFrameIdx); // show first frame
@@ -177,7 +540,9 @@ poseDetectBtn.addEventListener('click', async function handlePoseDetect() {
   
   /* UPDATE STATUS AND ENABLE ORB BUTTON
   -----------------------------------------------------------------------------*/
-  statusEl.textContent = "Pose detection complete.";
+  statusEl.textContent = cancelled 
+    ? `Pose detection cancelled. Kept ${poseResults.length} frames.` 
+    : "Pose detection complete.";
 
   // load opencv to window.cv for ORB module
   await loadOpenCV();
@@ -189,6 +554,11 @@ poseDetectBtn.addEventListener('click', async function handlePoseDetect() {
   -----------------------------------------------------------------------------*/
   setShared('poseA', poseResults.map(frame => frame.landmarks));
   console.log('Pose Landmarks:', poseResults.map(frame => frame.landmarks));
+  setShared('frameStore', frameStore);
+  setShared('referenceIndex', 0); // Image A is the first frame of the range
+  setShared('poseFlow', poseResults.map(frame => frame.flowHomography));
+  setShared('poseFlowLost', poseResults.map(frame => frame.flowLost));
+  setShared('poseTimes', poseResults.map(frame => frame.time));
   setShared('sizeA', {
     width: videoEl.videoWidth,
     height: videoEl.videoHeight
@@ -196,6 +566,176 @@ poseDetectBtn.addEventListener('click', async function handlePoseDetect() {
 
 });
 
+/* TRIM RANGE CONTROLS
+-----------------------------------------------------------------------------------
+Drag the handles on the timeline or set start/end from the current video time. 
+The video seeks to a dragged handle to preview that frame.
+-----------------------------------------------------------------------------------*/
+trimStart.addEventListener('input', () => {
+  setTrimRange(Number(trimStart.value), Math.max(Number(trimStart.value), Number(trimEnd.value)));
+  videoEl.currentTime = Number(trimStart.value);
+});
+
+trimEnd.addEventListener('input', () => {
+  setTrimRange(Math.min(Number(trimStart.value), Number(trimEnd.value)), Number(trimEnd.value));
+  videoEl.currentTime = Number(trimEnd.value);
+});
+
+trimStartBtn.addEventListener('click', () => {
+  setTrimRange(videoEl.currentTime, Math.max(videoEl.currentTime, Number(trimEnd.value)));
+});
+
+trimEndBtn.addEventListener('click', () => {
+  setTrimRange(Math.min(Number(trimStart.value), videoEl.currentTime), videoEl.currentTime);
+});
+
+trimResetBtn.addEventListener('click', () => {
+  setTrimRange(0, videoEl.duration);
+});
+
+/* USE AS ORB FRAME BUTTON
+-----------------------------------------------------------------------------------
+Use the shown frame instead of the first frame of the range as Image A for ORB
+-----------------------------------------------------------------------------------*/
+useOrbFrameBtn.addEventListener('click', () => useOrbFrame(currentFrameIdx));
+
+/* FIND ORB FRAMES BUTTON
+-----------------------------------------------------------------------------------
+Score candidate frames by sharpness and background visibility and list them, 
+best first. Clicking a candidate shows it and uses it as Image A.
+-----------------------------------------------------------------------------------*/
+findRefFramesBtn.addEventListener('click', async () => {
+  if (!poseResults.length) return;
+  findRefFramesBtn.disabled = true;
+  refPickerStatus.textContent = 'Scoring frames...';
+
+  try {
+    await loadOpenCV();
+    const candidates = await scoreReferenceFrames({
+      frameStore,
+      landmarks: poseResults.map(frame => frame.landmarks),
+      times: poseResults.map(frame => frame.time)
+    });
+
+    refCandidates.innerHTML = '';
+    for (const c of candidates) {
+      const item = document.createElement('div');
+      item.className = 'ref-candidate';
+      item.dataset.index = c.index;
+      const background = c.pose ? `${(c.visibility * 100).toFixed(0)}%` : 'unknown (no pose)';
+      item.innerHTML = 
+        `<img src="${c.thumbUrl}" />
+        <span>Frame ${c.index + 1} (${c.time?.toFixed(2) ?? '-'} s)</span>
+        <span>Sharpness ${c.sharpness.toFixed(0)} | Background ${background}</span>`;
+      item.addEventListener('click', () => {
+        currentFrameIdx = c.index;
+        showFrame(c.index);
+        useOrbFrame(c.index);
+      });
+      refCandidates.appendChild(item);
+    }
+    refPickerStatus.textContent = 'Candidates sorted by score (best first). Click one to use it.';
+  } catch (e) {
+    console.error(e);
+    refPickerStatus.textContent = `Scoring frames failed: ${e.message ?? e}`;
+  } finally {
+    findRefFramesBtn.disabled = false;
+  }
+});
+
+/* CANCEL POSE DETECTION BUTTON
+-----------------------------------------------------------------------------------
+Abort the running detection (frames processed so far are kept)
+-----------------------------------------------------------------------------------*/
+cancelPoseBtn.addEventListener('click', () => {
+  detectAbort?.abort();
+});
+
+/* CLIMBER SELECT CHANGE EVENT
+-----------------------------------------------------------------------------------
+Send another tracked climber to the ORB/transform stage (run Match again)
+-----------------------------------------------------------------------------------*/
+climberSelect.addEventListener('change', () => {
+  selectClimber(Number(climberSelect.value));
+});
+
+/* FIX SWAPS TOGGLE CHANGE EVENT
+-----------------------------------------------------------------------------------
+Re-run the climber selection with or without left/right swap correction
+-----------------------------------------------------------------------------------*/
+fixSwapsToggle.addEventListener('change', () => {
+  if (poseResults.length) selectClimber(selectedTrackId);
+});
+
+/* GAP, REST AND VISIBILITY CONTROLS CHANGE EVENT
+-----------------------------------------------------------------------------------
+Re-fill gaps when the max gap changes; re-detect rests when their parameters 
+change; redraw when the visibility display changes
+-----------------------------------------------------------------------------------*/
+gapMaxInput.addEventListener('change', () => {
+  if (poseResults.length) selectClimber(selectedTrackId);
+});
+
+[restSpeedInput, minRestInput].forEach(input => {
+  input.addEventListener('change', () => {
+    if (poseResults.length) updateActivity();
+  });
+});
+
+[visThreshold, hideLowVis].forEach(input => {
+  input.addEventListener('change', () => {
+    if (currentFrameIdx !== undefined) showFrame(currentFrameIdx);
+  });
+});
+
+/* EVERY FRAME CHECKBOX CHANGE EVENT
+-----------------------------------------------------------------------------------
+Interval input is ignored when every frame is processed
+-----------------------------------------------------------------------------------*/
+everyFrame.addEventListener('change', () => {
+  intervalInput.disabled = everyFrame.checked;
+});
+
+/* SMOOTHING CONTROLS CHANGE EVENT
+-----------------------------------------------------------------------------------
+Re-apply smoothing when the toggle or strength controls change
+-----------------------------------------------------------------------------------*/
+[smoothToggle, smoothMinCutoff, smoothBeta].forEach(input => {
+  input.addEventListener('change', applySmoothing);
+});
+
+/* DOWNLOAD POSE BUTTON
+-----------------------------------------------------------------------------------
+Download raw and smoothed landmarks for every frame as JSON
+-----------------------------------------------------------------------------------*/
+downloadPoseBtn.addEventListener('click', () => {
+  if (!poseResults.length) return;
+  downloadJSON({
+    version: 1,
+    videoSize: { width: videoEl.videoWidth, height: videoEl.videoHeight },
+    smoothing: smoothToggle.checked 
+      ? { minCutoff: Number(smoothMinCutoff.value), beta: Number(smoothBeta.value) } 
+      : null,
+    frames: poseResults.map((frame, i) => ({
+      time: frame.time,
+      rawLandmarks: frame.rawLandmarks,
+      lrSwapped: frame.lrSwapped ?? [],
+      gapFilled: frame.gapFilled ?? false,
+      metrics: metricValues(poseMetrics[i]),
+      smoothedLandmarks: frame.smoothedLandmarks ?? null
+    }))
+  }, 'pose.json');
+});
+
+/* DOWNLOAD METRICS BUTTON
+-----------------------------------------------------------------------------------
+Download per-frame metrics as CSV
+-----------------------------------------------------------------------------------*/
+downloadMetricsBtn.addEventListener('click', () => {
+  if (!poseMetrics.length) return;
+  downloadCSV(metricsToCSV(poseMetrics), 'metrics.csv');
+});
+
 /* FRAME NAVIGATION BUTTONS
 -----------------------------------------------------------------------------------*/
 prevFrameBtn.onclick = () => {
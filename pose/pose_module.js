@@ -9,19 +9,28 @@ import {
 import { VideoFrameExtractor } from '../VideoFrameExtractor.js';
 import {setShared} from '../shared_state.js'; 
 import { drawLandmarksOnImage } from './pose_utils.js'; 
+import { CameraMotionTracker } from '../CameraMotionTracker.js';
+import { CropTracker } from '../CropTracker.js';
 
 /* RUN POSE DETECTION ON FRAMES
 ______________________________________________________________________________
 Extract frames from video at given interval, run pose detection,and store 
-results. 
+results. If options.signal is aborted, extraction stops and the promise 
+rejects with an AbortError; frames processed so far stay in poseResults.
 ______________________________________________________________________________*/
 
 export async function runPoseDetectionOnFrames(
     originalVideo,  
     canvasEl, // canvas element for drawing landmarks on original images
     poseResults, // output array to hold results
-    intervalSeconds, // detect every n seconds 
-    cropRect // cropping rectangle for the video
+    intervalSeconds, // detect every n seconds (fractional, 0 = every frame)
+    cropRect, // cropping rectangle for the video
+    options = {} // { trackCameraMotion: track background motion (needs window.cv),
+                 //   frameStore: FrameStore to keep raw frames in,
+                 //   numPoses: max poses (climbers) per frame,
+                 //   range: { start, end } time range to process (seconds),
+                 //   signal: AbortSignal to cancel detection,
+                 //   onProgress: callback({ frameIndex, time, start, end, eta }) }
 ) {
     
     /* INITIALIZE POSE LANDMARKER
@@ -36,25 +45,24 @@ export async function runPoseDetectionOnFrames(
                 "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
             delegate: "GPU"
         },
-        runningMode: "IMAGE", 
-        numPoses: 1 
+        runningMode: "VIDEO", // uses temporal tracking between frames
+        numPoses: options.numPoses ?? 1 // climbers to detect per frame
     });
 
     /* DETECT POSE LANDMARKS ON A VIDEO FRAME  
     --------------------------------------------------------------------------
     This funtion processes single video frames as they are extracted by 
     VideoFrameExtractor. It runs pose detection, draws landmarks, and stores 
-    results in poseResults array.
+    results in poseResults array. frameCanvas holds the exact extracted frame
+    and t is its media time in seconds.
     --------------------------------------------------------------------------*/
-    async function processFrame(frameUrl, t, frameWidth, frameHeight) {    
+    async function processFrame(frameCanvas, t, frameWidth, frameHeight) {    
         
-        /* Load Frame Image
-        --------------------------------------------------------------------------*/
-        const img = new Image();
-        img.src   = frameUrl;        
-        await new Promise(resolve => { img.onload = resolve; });
+        const img = frameCanvas; // full frame (canvas is drawn like an image)
 
         /* Save First Frame Image for ORB Module
+        --------------------------------------------------------------------------
+        The first processed frame is the first frame of the time range.
         --------------------------------------------------------------------------*/
         if (isFirstFrame) {
             isFirstFrame = false;            
@@ -98,84 +106,78 @@ export async function runPoseDetectionOnFrames(
             croppedCtx.drawImage(img, 0, 0, img.width, img.height);
         }
 
-        // Create new image from cropped canvas to run pose detection on 
-        const croppedImg = new Image(); 
-        croppedImg.src = croppedCanvas.toDataURL(); 
-        await new Promise(resolve => { croppedImg.onload = resolve; });
-
         /* Run Pose Detection
         -------------------------------------------------------------------------
         result contains detected landmarks for the current frame relative to the 
         cropped image.
         -------------------------------------------------------------------------*/
-        const result = poseLandmarker.detect(croppedImg); 
+        // VIDEO mode needs strictly increasing timestamps (ms)
+        const timestampMs = Math.max(lastTimestampMs + 1, Math.round(t * 1000));
+        lastTimestampMs   = timestampMs;
+        const result = poseLandmarker.detectForVideo(croppedCanvas, timestampMs); 
         
-        /* Apply Offset to Landmarks and Draw on Original Image
+        /* Scale Landmarks to Original Image and Draw
         -------------------------------------------------------------------------
-        Scaled and offset landmark coordinates to match the original image 
-        coordinate space for display and storage. 
+        Normalized landmarks are relative to the detection region (crop, or the 
+        full frame when there is no crop). Scale and offset every detected pose 
+        to original image pixels for display and storage. The first pose is used 
+        downstream.
         -------------------------------------------------------------------------*/
-        let offsetLandmarks = [];
-        if (result.landmarks && result.landmarks.length > 0 && cropForThisFrame) {                      
-            for (const landmarkSet of result.landmarks) {
-                offsetLandmarks = landmarkSet.map(lm => ({
-                    ...lm,
-                    x: lm.x * cropForThisFrame.width  + cropForThisFrame.left,
-                    y: lm.y * cropForThisFrame.height + cropForThisFrame.top,
-                    z: lm.z,
-                    visibility: lm.visibility
-                }));
-                drawLandmarksOnImage(canvasEl, img, offsetLandmarks, cropForThisFrame);
-            }
-        } 
+        const region = cropForThisFrame ?? { left: 0, top: 0, width: img.width, height: img.height };
+        const poses = (result.landmarks || []).map(landmarkSet => 
+            landmarkSet.map(lm => ({
+                ...lm,
+                x: lm.x * region.width  + region.left,
+                y: lm.y * region.height + region.top,
+                z: lm.z,
+                visibility: lm.visibility
+            }))
+        );
+        const offsetLandmarks = poses[0] ?? [];
+        if (offsetLandmarks.length) {
+            drawLandmarksOnImage(canvasEl, img, offsetLandmarks, cropForThisFrame);
+        }
 
         /* Update Crop for Next Frame
         -------------------------------------------------------------------------
-        Centers the crop box around the subjects hips in the current frame and 
-        use it for the next frame.
+        Keep the crop while the climbers (box around all detected poses, as pose 
+        order is arbitrary) stay well inside it; move it when they near its edge 
+        and resize it only when the poses no longer fit. Without a pose the crop 
+        widens step by step back to the full frame.
         - Allows initial crop to follow the subject if they move in the frame. 
         - Avoids using heavy object detection models like YOLO for tracking.
+        VIDEO mode tracks the pose from the previous detection region, which is 
+        wrong once the crop moves or resizes around a detected pose: re-applying 
+        the running mode restarts the landmarker graph (expensive), so the next 
+        frame is detected from scratch. Widening steps without a pose keep it.
         -------------------------------------------------------------------------*/
-        if (crop && result.landmarks && result.landmarks.length > 0) {
-            // Hips are landmarks 23 (left) and 24 (right) in MediaPipe Pose
-            const landmarkSet = result.landmarks[0]; 
-            const leftHipIdx = 23; 
-            const rightHipIdx = 24; 
-
-            // If both hip landmarks are present, recenter crop
-            if (landmarkSet[leftHipIdx] && landmarkSet[rightHipIdx]) {
-                
-                // Get hip coordinates in cropped image space
-                const leftHip_x = landmarkSet[leftHipIdx].x;
-                const rightHip_x = landmarkSet[rightHipIdx].x;                   
-                const leftHip_y = landmarkSet[leftHipIdx].y;
-                const rightHip_y = landmarkSet[rightHipIdx].y;
-
-                // Compute center point between hips in cropped space
-                const centerX_cropped = (leftHip_x + rightHip_x) / 2;
-                const centerY_cropped = (leftHip_y + rightHip_y) / 2;
-
-                // Convert cropped center to original frame coordinates
-                const centerX_original = crop.left + centerX_cropped * crop.width;
-                const centerY_original = crop.top  + centerY_cropped * crop.height;
-
-                // Define new crop rectangle centered on hips
-                // Keep within top-left bounds of frame
-                crop.left = Math.max(0, Math.round(centerX_original - crop.width / 2));
-                crop.top  = Math.max(0, Math.round(centerY_original - crop.height / 2));
-                // Keep within bottom-right bounds of frame
-                crop.left = Math.min(crop.left, frameWidth  - crop.width);
-                crop.top  = Math.min(crop.top,  frameHeight - crop.height);
-            }
+        if (cropTracker) {
+            crop = cropTracker.update(poses.flat()); // union of all climbers
+            if (cropTracker.changed) await poseLandmarker.setOptions({ runningMode: "VIDEO" });
         }
 
+        /* Track Camera Motion
+        -------------------------------------------------------------------------
+        Track background points from the previous frame with optical flow and
+        chain the result into a frame -> frame 0 homography. Every detected pose 
+        is masked out (pose order is arbitrary, so poses[0] may be anyone).
+        -------------------------------------------------------------------------*/
+        const motion = motionTracker ? motionTracker.track(img, poses) : null;
+
         /* Store Results for This Frame
+        -------------------------------------------------------------------------
+        The raw frame goes to the frame store (compressed, indexed like 
+        poseResults); overlays are drawn on demand when a frame is shown.
         ------------------------------------------------------------------------- */
+        await frameStore?.put(poseResults.length, frameCanvas);
         poseResults.push({
             time: t, // timestamp in seconds
-            frameUrl: canvasEl.toDataURL(), // image with drawn landmarks
-            landmarks: offsetLandmarks, // landmarks in original frame coords
-            cropRect: cropForThisFrame ? { ...cropForThisFrame } : null // crop used
+            landmarks: offsetLandmarks, // landmarks in original frame coords (used downstream)
+            rawLandmarks: offsetLandmarks, // detector output, kept when landmarks are smoothed
+            poses, // all detected poses (original frame coords)
+            cropRect: cropForThisFrame ? { ...cropForThisFrame } : null, // crop used
+            flowHomography: motion?.homography ?? null, // frame -> frame 0 (row-major 3x3)
+            flowLost: motion?.lost ?? false // true if motion could not be tracked
         });
     }
     
@@ -184,12 +186,35 @@ export async function runPoseDetectionOnFrames(
     poseResults.length = 0; // Clear existing results
     let crop           = cropRect ? { ...cropRect } : null; // Initial crop rectangle (if exists) 
     let isFirstFrame   = true; // Flag for first frame
+    let lastTimestampMs = -1; // Last timestamp passed to detectForVideo
+    
+    // Crop tracker following the climber (only with an initial crop)
+    const cropTracker = crop 
+        ? new CropTracker(crop, originalVideo.videoWidth, originalVideo.videoHeight) 
+        : null;
+
+    // Frame store for raw frames (optional)
+    const frameStore = options.frameStore ?? null;
+    frameStore?.clear();
+
+    // Optical flow camera motion tracker (optional)
+    const motionTracker = options.trackCameraMotion && window.cv 
+        ? new CameraMotionTracker(window.cv) 
+        : null;
 
     // Initialize VideoFrameExtractor
     const extractor = new VideoFrameExtractor(originalVideo, canvasEl);
     
     /* EXTRACT FRAMES AND PROCESS
     -----------------------------------------------------------------------------*/
-    await extractor.extractFrames(intervalSeconds, processFrame);    
+    try {
+        await extractor.extractFrames(intervalSeconds, processFrame, {
+            range: options.range,
+            signal: options.signal,
+            onProgress: options.onProgress
+        });    
+    } finally {
+        motionTracker?.delete();
+    }
     
 }
\ No newline at end of file
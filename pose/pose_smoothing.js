@@ -0,0 +1,91 @@
+// pose_smoothing.js
+// Temporal smoothing of pose landmarks across frames (One Euro filter)
+
+/* ONE EURO FILTER
+______________________________________________________________________________
+Speed-adaptive low-pass filter for a single value. Slow movement is smoothed
+heavily (removes jitter), fast movement less (keeps lag low).
+Ref: https://gery.casiez.net/1euro/
+______________________________________________________________________________*/
+
+class OneEuroFilter {
+    constructor(minCutoff = 1.0, beta = 0.01, dCutoff = 1.0) {
+        this.minCutoff = minCutoff; // min cutoff frequency (Hz), lower = smoother
+        this.beta      = beta; // speed coefficient, higher = less lag when moving
+        this.dCutoff   = dCutoff; // cutoff frequency for the derivative (Hz)
+        this.prevValue = null; // previous filtered value
+        this.prevDeriv = 0; // previous filtered derivative
+        this.prevTime  = null; // previous timestamp (seconds)
+    }
+
+    // Filter value at time t (seconds)
+    filter(value, t) {
+        if (this.prevValue === null || t <= this.prevTime) {
+            this.prevValue = value;
+            this.prevTime  = t;
+            return value;
+        }
+        const dt = t - this.prevTime;
+
+        // Filtered derivative
+        const deriv  = (value - this.prevValue) / dt;
+        const aDeriv = smoothingFactor(dt, this.dCutoff);
+        const dHat   = aDeriv * deriv + (1 - aDeriv) * this.prevDeriv;
+
+        // Cutoff grows with speed
+        const cutoff = this.minCutoff + this.beta * Math.abs(dHat);
+        const a      = smoothingFactor(dt, cutoff);
+        const xHat   = a * value + (1 - a) * this.prevValue;
+
+        this.prevValue = xHat;
+        this.prevDeriv = dHat;
+        this.prevTime  = t;
+        return xHat;
+    }
+}
+
+// Exponential smoothing factor for a sample period dt and cutoff frequency
+function smoothingFactor(dt, cutoff) {
+    const r = 2 * Math.PI * cutoff * dt;
+    return r / (r + 1);
+}
+
+/* SMOOTH POSE RESULTS
+______________________________________________________________________________
+Run a One Euro filter per landmark coordinate (x, y, z) across poseResults
+using the frame timestamps. Reads frame.rawLandmarks and writes
+frame.smoothedLandmarks, so raw landmarks are kept. Filters restart after a
+frame without landmarks.
+______________________________________________________________________________*/
+
+export function smoothPoseResults(poseResults, opts = {}) {
+    const { minCutoff = 1.0, beta = 0.01, dCutoff = 1.0 } = opts;
+    let filters = null; // [landmarkIdx] -> { x, y, z } filters
+
+    for (const frame of poseResults) {
+        const raw = frame.rawLandmarks;
+
+        // Gap in detection: restart filters
+        if (!raw || raw.length === 0) {
+            frame.smoothedLandmarks = [];
+            filters = null;
+            continue;
+        }
+
+        if (!filters || filters.length !== raw.length) {
+            filters = raw.map(() => ({
+                x: new OneEuroFilter(minCutoff, beta, dCutoff),
+                y: new OneEuroFilter(minCutoff, beta, dCutoff),
+                z: new OneEuroFilter(minCutoff, beta, dCutoff)
+            }));
+        }
+
+        frame.smoothedLandmarks = raw.map((lm, k) => ({
+            ...lm,
+            x: filters[k].x.filter(lm.x, frame.time),
+            y: filters[k].y.filter(lm.y, frame.time),
+            z: filters[k].z.filter(lm.z ?? 0, frame.time)
+        }));
+    }
+    return poseResults;
+}
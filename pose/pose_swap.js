@@ -0,0 +1,143 @@
+// pose_swap.js
+// Detect and correct left/right landmark swaps (climbers filmed from behind)
+
+/* LEFT/RIGHT LANDMARK PAIRS
+______________________________________________________________________________
+MediaPipe Pose [left, right] index pairs, grouped by body part. Each group is
+checked and swapped on its own (e.g. only the legs flip for a few frames).
+______________________________________________________________________________*/
+
+const SWAP_GROUPS = {
+    head: [[1, 4], [2, 5], [3, 6], [7, 8], [9, 10]],
+    arms: [[11, 12], [13, 14], [15, 16], [17, 18], [19, 20], [21, 22]],
+    legs: [[23, 24], [25, 26], [27, 28], [29, 30], [31, 32]]
+};
+
+/* CORRECT LEFT/RIGHT SWAPS
+______________________________________________________________________________
+Pass over poseResults and un-swap left/right landmarks per body group:
+- temporal continuity: a group is swapped when swapping it moves its points
+  much closer to the previous frame (cost ratio below swapRatio)
+- body-side consistency: after a gap (or on the first frame), or when motion
+  is ambiguous, a group is swapped if its left/right order on screen is
+  opposite to the order seen in most frames
+
+Reads and rewrites frame.rawLandmarks (the detector output is kept in
+frame.detectedLandmarks) and sets frame.lrSwapped to the swapped groups.
+Returns the log of corrected frames: [{ index, time, groups }]
+______________________________________________________________________________*/
+
+export function correctLeftRightSwaps(poseResults, opts = {}) {
+    const { swapRatio = 0.6, maxGap = 0.5 } = opts;
+    const groups = Object.keys(SWAP_GROUPS);
+
+    // Keep detector output for review
+    for (const frame of poseResults) {
+        frame.detectedLandmarks = frame.rawLandmarks;
+        frame.lrSwapped = [];
+    }
+
+    // Dominant screen order (sign of right.x - left.x) per group over all frames
+    const dominantSide = {};
+    for (const g of groups) {
+        const sum = poseResults.reduce((acc, f) => acc + sideSign(f.rawLandmarks, g), 0);
+        dominantSide[g] = Math.sign(sum);
+    }
+
+    const log = [];
+    let prev = null; // previous frame with landmarks (corrected)
+    let prevTime = null;
+
+    poseResults.forEach((frame, index) => {
+        let lms = frame.rawLandmarks;
+        if (!lms?.length) return;
+
+        const continuous = prev && frame.time - prevTime <= maxGap;
+        const swapped = [];
+
+        for (const g of groups) {
+            let swap = false;
+            const side = sideSign(lms, g);
+            const againstBody = dominantSide[g] !== 0 && side === -dominantSide[g];
+
+            if (continuous) {
+                const keep = groupCost(lms, prev, g, false);
+                const flip = groupCost(lms, prev, g, true);
+                if (flip < swapRatio * keep) swap = true; // clear jump back
+                else if (keep < swapRatio * flip) swap = false; // clear continuity
+                else swap = againstBody; // ambiguous motion
+            } else {
+                swap = againstBody;
+            }
+
+            if (swap) {
+                lms = swapGroup(lms, g);
+                swapped.push(g);
+            }
+        }
+
+        if (swapped.length) {
+            frame.rawLandmarks = lms;
+            frame.lrSwapped = swapped;
+            log.push({ index, time: frame.time, groups: swapped });
+        }
+        prev = lms;
+        prevTime = frame.time;
+    });
+
+    return log;
+}
+
+/* GROUP HELPERS
+------------------------------------------------------------------------------
+sideSign: majority sign of right.x - left.x over the group's pairs (0 if none)
+groupCost: summed distance of the group's points to the previous frame, with
+           or without swapping left/right
+swapGroup: copy of landmarks with the group's left/right points exchanged
+------------------------------------------------------------------------------*/
+
+function sideSign(landmarks, group) {
+    if (!landmarks?.length) return 0;
+    let sum = 0;
+    for (const [l, r] of SWAP_GROUPS[group]) {
+        if (landmarks[l] && landmarks[r]) sum += Math.sign(landmarks[r].x - landmarks[l].x);
+    }
+    return Math.sign(sum);
+}
+
+function groupCost(landmarks, prev, group, swapped) {
+    let cost = 0;
+    for (const [l, r] of SWAP_GROUPS[group]) {
+        const [a, b] = swapped ? [r, l] : [l, r];
+        cost += pointDistance(landmarks[a], prev[l]) + pointDistance(landmarks[b], prev[r]);
+    }
+    return cost;
+}
+
+function pointDistance(p, q) {
+    return p && q ? Math.hypot(p.x - q.x, p.y - q.y) : 0;
+}
+
+function swapGroup(landmarks, group) {
+    const out = landmarks.slice();
+    for (const [l, r] of SWAP_GROUPS[group]) {
+        out[l] = landmarks[r];
+        out[r] = landmarks[l];
+    }
+    return out;
+}
+
+/* CLEAR LEFT/RIGHT SWAP CORRECTION
+______________________________________________________________________________
+Undo correctLeftRightSwaps: restore frame.rawLandmarks from
+frame.detectedLandmarks and clear frame.lrSwapped, so exports do not report
+swaps that are no longer applied.
+______________________________________________________________________________*/
+
+export function clearLeftRightSwaps(poseResults) {
+    for (const frame of poseResults) {
+        if (frame.detectedLandmarks) frame.rawLandmarks = frame.detectedLandmarks;
+        delete frame.detectedLandmarks;
+        frame.lrSwapped = [];
+    }
+}
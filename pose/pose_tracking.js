@@ -0,0 +1,146 @@
+// pose_tracking.js
+// Link detected poses across frames into climber identities (bounding-box IoU
+// matched with the Hungarian algorithm)
+
+// Drawing colour per tracked climber (by track order)
+export const CLIMBER_COLORS = ['#FFC400', '#6AECE1', '#FF6B6B', '#8AFF80', '#C792EA', '#FF9F43'];
+
+/* HUNGARIAN ALGORITHM
+______________________________________________________________________________
+Minimum-cost assignment for a rows x cols cost matrix (rows <= cols is not
+required: the matrix is padded to square). Returns assignment[row] = col, or
+-1 for rows matched to padding.
+______________________________________________________________________________*/
+
+function hungarian(cost) {
+    const rows = cost.length;
+    const cols = rows ? cost[0].length : 0;
+    const n = Math.max(rows, cols);
+    const pad = 1e6; // cost of matching to a padded row/column
+    const a = (i, j) => (i < rows && j < cols ? cost[i][j] : pad);
+
+    // Potentials and matching (1-based, column 0 is a virtual start)
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(n + 1);
+    const p = new Int32Array(n + 1); // p[col] = row matched to col
+    const way = new Int32Array(n + 1);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Float64Array(n + 1).fill(Infinity);
+        const used = new Uint8Array(n + 1);
+        do {
+            used[j0] = 1;
+            const i0 = p[j0];
+            let delta = Infinity, j1 = 0;
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const cur = a(i0 - 1, j - 1) - u[i0] - v[j];
+                if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+                if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+            }
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+                else minv[j] -= delta;
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        const i = p[j] - 1;
+        if (i >= 0 && i < rows && j - 1 < cols) assignment[i] = j - 1;
+    }
+    return assignment;
+}
+
+/* BOUNDING BOX AND IOU
+------------------------------------------------------------------------------
+Bounding box of a pose's landmarks and intersection over union of two boxes
+------------------------------------------------------------------------------*/
+
+function poseBox(landmarks) {
+    const pts = landmarks.filter(lm => Number.isFinite(lm.x) && Number.isFinite(lm.y));
+    if (!pts.length) return null;
+    const xs = pts.map(lm => lm.x);
+    const ys = pts.map(lm => lm.y);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+function iou(a, b) {
+    if (!a || !b) return 0;
+    const w = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+    const h = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+    if (w <= 0 || h <= 0) return 0;
+    const inter = w * h;
+    const areaA = (a.x1 - a.x0) * (a.y1 - a.y0);
+    const areaB = (b.x1 - b.x0) * (b.y1 - b.y0);
+    return inter / (areaA + areaB - inter);
+}
+
+/* TRACK POSE IDENTITIES
+______________________________________________________________________________
+Assign a track id to every pose in frame.poses, matching poses to the tracks
+seen in recent frames by bounding-box IoU (Hungarian assignment on 1 - IoU).
+Matches below minIoU start a new track; tracks unseen for more than
+maxMissed frames are closed. Writes frame.trackIds (parallel to frame.poses).
+
+Returns tracks sorted by length (longest first):
+{ id, color, frameCount }
+______________________________________________________________________________*/
+
+export function trackPoseIdentities(poseResults, opts = {}) {
+    const { minIoU = 0.1, maxMissed = 10 } = opts;
+    const tracks = []; // { id, box, lastFrame, frameCount }
+
+    poseResults.forEach((frame, f) => {
+        const poses  = frame.poses ?? [];
+        const boxes  = poses.map(poseBox);
+        const active = tracks.filter(t => f - t.lastFrame <= maxMissed);
+        frame.trackIds = new Array(poses.length).fill(null);
+
+        // Match active tracks to poses
+        if (active.length && poses.length) {
+            const cost = active.map(t => boxes.map(b => 1 - iou(t.box, b)));
+            hungarian(cost).forEach((j, i) => {
+                if (j < 0 || 1 - cost[i][j] < minIoU) return;
+                const track = active[i];
+                track.box       = boxes[j];
+                track.lastFrame = f;
+                track.frameCount++;
+                frame.trackIds[j] = track.id;
+            });
+        }
+
+        // Unmatched poses start new tracks
+        frame.trackIds.forEach((id, j) => {
+            if (id !== null || !boxes[j]) return;
+            const track = { id: tracks.length, box: boxes[j], lastFrame: f, frameCount: 1 };
+            tracks.push(track);
+            frame.trackIds[j] = track.id;
+        });
+    });
+
+    return tracks
+        .map(t => ({ id: t.id, color: CLIMBER_COLORS[t.id % CLIMBER_COLORS.length], frameCount: t.frameCount }))
+        .sort((a, b) => b.frameCount - a.frameCount);
+}
+
+/* TRACK LANDMARKS
+------------------------------------------------------------------------------
+Landmarks of one tracked climber per frame ([] where the climber is missing)
+------------------------------------------------------------------------------*/
+
+export function trackLandmarks(poseResults, trackId) {
+    return poseResults.map(frame => {
+        const j = frame.trackIds?.indexOf(trackId) ?? -1;
+        return j >= 0 ? frame.poses[j] : [];
+    });
+}
@@ -2,8 +2,7 @@
 // Module to draw pose landmarks and connections on a canvas
 
 import {
-    PoseLandmarker, 
-    DrawingUtils
+    PoseLandmarker
 } from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/vision_bundle.js";
 
 const leftPointColor = '#FFC400';
@@ -15,51 +14,25 @@ const rightPoints = [1, 2, 3, 7, 9, 11, 13, 15, 17, 19, 21, 23, 25, 27, 29, 31];
 /* DRAW LANDMARKS ON IMAGE
 ______________________________________________________________________________
 Draws pose landmarks and connections on a canvas element overlaid on the image.
+options are passed to drawLandmarks (colour, low-visibility handling).
 ______________________________________________________________________________*/
 
-export function drawLandmarksOnImage(canvasEl, img, landmarks, cropBox=null) {
+export function drawLandmarksOnImage(canvasEl, img, landmarks, cropBox=null, options={}) {
     if (!landmarks || landmarks.length === 0) return;
     
     /* SET UP CANVAS
     --------------------------------------------------------------------------*/
-    // Set canvas dimensions to match image dimensions
-    canvasEl.width  = img.naturalWidth; 
-    canvasEl.height = img.naturalHeight; 
+    // Set canvas dimensions to match image dimensions (image, canvas or bitmap)
+    canvasEl.width  = img.naturalWidth || img.width; 
+    canvasEl.height = img.naturalHeight || img.height; 
     const ctx       = canvasEl.getContext('2d'); 
 
     // Clear any previous drawings and draw the image
     ctx.clearRect(0, 0, canvasEl.width, canvasEl.height);
     ctx.drawImage(img, 0, 0, canvasEl.width, canvasEl.height);
 
-    /* DRAW CONNECTIONS
-    --------------------------------------------------------------------------*/
-    // Define normalized landmarks for drawing connections (MediaPipe format)
-    const drawingUtils = new DrawingUtils(ctx);
-    const normalizedLandmarks = landmarks.map(lm => ({
-        x: lm.x / canvasEl.width, 
-        y: lm.y / canvasEl.height, 
-        visibility: lm.visibility 
-    }));
-    
-    // Draw pose connections
-    drawingUtils.drawConnectors(
-        normalizedLandmarks, // normalized landmarks
-        PoseLandmarker.POSE_CONNECTIONS, // pose connections
-        { color: connectionColor , lineWidth: 2 } // drawing style
-    );
-    
-    /* DRAW LANDMARKS
-    --------------------------------------------------------------------------*/
-    // Draw each landmark as a circle
-    landmarks.forEach((lm, idx) => {
-        ctx.beginPath(); 
-        ctx.arc(lm.x, lm.y, 4, 0, 2 * Math.PI);
-        const pointColor = leftPoints.includes(idx) ? leftPointColor :
-                        rightPoints.includes(idx) ? rightPointColor :
-                        'white'; 
-        ctx.fillStyle = pointColor; 
-        ctx.fill(); 
-    });
+    // Draw pose
+    drawLandmarks(ctx, landmarks, options);
 
     /* DRAW CROP BOX IF PROVIDED
     --------------------------------------------------------------------------*/
@@ -76,4 +49,64 @@ export function drawLandmarksOnImage(canvasEl, img, landmarks, cropBox=null) {
 
 
 
-}
\ No newline at end of file
+}
+
+/* DRAW LANDMARKS
+______________________________________________________________________________
+Draws pose connections and landmarks on top of what is already on the canvas 
+(pixel coordinates). Used to add more poses to a drawn image.
+
+options:
+- color: draw the whole pose in one colour
+- minVisibility: points with lower visibility are low-confidence (drawn 
+  hollow with dashed connections)
+- hideLowVisibility: hide low-confidence points and their connections
+______________________________________________________________________________*/
+
+export function drawLandmarks(ctx, landmarks, options={}) {
+    if (!landmarks || landmarks.length === 0) return;
+    const { color = null, minVisibility = 0, hideLowVisibility = false } = options;
+    const isLow = (lm) => (lm.visibility ?? 1) < minVisibility;
+
+    /* DRAW CONNECTIONS
+    --------------------------------------------------------------------------*/
+    ctx.save();
+    ctx.lineWidth   = 2;
+    ctx.strokeStyle = color ?? connectionColor;
+    for (const { start, end } of PoseLandmarker.POSE_CONNECTIONS) {
+        const a = landmarks[start];
+        const b = landmarks[end];
+        if (!a || !b) continue;
+        const low = isLow(a) || isLow(b);
+        if (low && hideLowVisibility) continue;
+        ctx.setLineDash(low ? [4, 4] : []);
+        ctx.globalAlpha = low ? 0.5 : 1;
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+    }
+    ctx.restore();
+    
+    /* DRAW LANDMARKS
+    --------------------------------------------------------------------------*/
+    // Draw each landmark as a circle (hollow if low-confidence)
+    landmarks.forEach((lm, idx) => {
+        const low = isLow(lm);
+        if (low && hideLowVisibility) return;
+        ctx.beginPath(); 
+        ctx.arc(lm.x, lm.y, 4, 0, 2 * Math.PI);
+        const pointColor = color ? color :
+                        leftPoints.includes(idx) ? leftPointColor :
+                        rightPoints.includes(idx) ? rightPointColor :
+                        'white'; 
+        if (low) {
+            ctx.strokeStyle = pointColor;
+            ctx.lineWidth   = 1.5;
+            ctx.stroke();
+        } else {
+            ctx.fillStyle = pointColor; 
+            ctx.fill(); 
+        }
+    });
+}